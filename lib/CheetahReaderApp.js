@@ -36,8 +36,32 @@ class CheetahReaderApp {
                 speed: 400,
                 currentWordIndex: 0,
                 focusWidth: 2,
-                scrollLevel: 1
-            }
+                chunking: 'fixed',
+                scrollLevel: 1,
+                variablePacing: true,
+                rsvpChunkSize: 1,
+                rewindMode: 'off',
+                rewindWords: 5,
+                newlinePause: 1.5,
+                clausePause: 0.5,
+                sentencePause: 1.5,
+                paragraphPause: 3
+            },
+            session: {
+                type: 'time',
+                minutes: 20,
+                words: 5000
+            },
+            adaptive: {
+                enabled: false,
+                minSpeed: 250,
+                maxSpeed: 600
+            },
+            library: {
+                view: 'grid',
+                sort: 'lastOpened'
+            },
+            pinToBook: false
         };
 
         // ✅ PRIVATE: Initialize StateManager with merged state
@@ -57,8 +81,33 @@ class CheetahReaderApp {
                 speed: savedSettings.flow?.speed ?? options.speed ?? defaults.flow.speed,
                 currentWordIndex: defaults.flow.currentWordIndex,
                 focusWidth: savedSettings.flow?.focusWidth ?? options.focusWidth ?? defaults.flow.focusWidth,
-                scrollLevel: savedSettings.flow?.scrollLevel ?? options.scrollLevel ?? defaults.flow.scrollLevel
-            }
+                chunking: savedSettings.flow?.chunking ?? options.chunking ?? defaults.flow.chunking,
+                scrollLevel: savedSettings.flow?.scrollLevel ?? options.scrollLevel ?? defaults.flow.scrollLevel,
+                variablePacing: savedSettings.flow?.variablePacing ?? options.variablePacing ?? defaults.flow.variablePacing,
+                rsvpChunkSize: savedSettings.flow?.rsvpChunkSize ?? options.rsvpChunkSize ?? defaults.flow.rsvpChunkSize,
+                rewindMode: savedSettings.flow?.rewindMode ?? options.rewindMode ?? defaults.flow.rewindMode,
+                rewindWords: savedSettings.flow?.rewindWords ?? options.rewindWords ?? defaults.flow.rewindWords,
+                newlinePause: savedSettings.flow?.newlinePause ?? options.newlinePause ?? defaults.flow.newlinePause,
+                clausePause: savedSettings.flow?.clausePause ?? options.clausePause ?? defaults.flow.clausePause,
+                sentencePause: savedSettings.flow?.sentencePause ?? options.sentencePause ?? defaults.flow.sentencePause,
+                paragraphPause: savedSettings.flow?.paragraphPause ?? options.paragraphPause ?? defaults.flow.paragraphPause
+            },
+            session: {
+                type: savedSettings.session?.type ?? defaults.session.type,
+                minutes: savedSettings.session?.minutes ?? defaults.session.minutes,
+                words: savedSettings.session?.words ?? defaults.session.words
+            },
+            adaptive: {
+                enabled: savedSettings.adaptive?.enabled ?? options.adaptiveSpeed ?? defaults.adaptive.enabled,
+                minSpeed: savedSettings.adaptive?.minSpeed ?? defaults.adaptive.minSpeed,
+                maxSpeed: savedSettings.adaptive?.maxSpeed ?? defaults.adaptive.maxSpeed
+            },
+            library: {
+                view: savedSettings.library?.view ?? defaults.library.view,
+                sort: savedSettings.library?.sort ?? defaults.library.sort
+            },
+            pinToBook: savedSettings.pinToBook ?? defaults.pinToBook,
+            keymap: KeymapService.mergeBindings(savedSettings.keymap ?? options.keymap)
         });
 
         // Update persistence manager to use the real state manager
@@ -75,6 +124,45 @@ class CheetahReaderApp {
         // ✅ PRIVATE: Store container reference for services
         this._container = this._reader.container;
 
+        // ✅ PRIVATE: Per-book storage (positions, learned speed, ...)
+        this._bookData = new BookDataService();
+
+        // ✅ PRIVATE: Timed reading sessions
+        this._sessionService = new ReadingSessionService(this._reader, this._state);
+
+        // ✅ PRIVATE: Opt-in adaptive speed
+        this._adaptiveSpeed = new AdaptiveSpeedService(this._reader, this._state, this._bookData);
+
+        // ✅ PRIVATE: Per-book settings overrides
+        this._bookSettings = new BookSettingsService(this._state, this._persistence, this._bookData);
+        this._bookSettings.on('settingsApplied', ({ keys }) => this._refreshReaderSettings(keys));
+
+        // ✅ PRIVATE: Named settings profiles
+        this._profiles = new SettingsProfileService(this._state, this._persistence);
+        this._profiles.on('profileApplied', ({ keys }) => this._refreshReaderSettings(keys));
+
+        // ✅ PRIVATE: Reading statistics (per day and per book)
+        this._stats = new ReadingStatsService(this._reader, this._state, this._bookData);
+
+        // ✅ PRIVATE: Local bookshelf (IndexedDB)
+        this._library = new LibraryService(this._bookData);
+
+        // ✅ PRIVATE: Highlights and notes
+        this._annotations = new AnnotationService(this._reader, this._bookData);
+        this._bookMetadata = null;
+
+        // ✅ PRIVATE: Undo/redo for settings (library view and sort aren't reading settings)
+        this._undo = new UndoService(
+            this._state,
+            this._persistence.persistedKeys.filter(key => !key.startsWith('library.')),
+            { ignore: () => this._bookSettings.isApplying() || this._adaptiveSpeed.isAdjusting() }
+        );
+        this._undo.on('applied', ({ keys }) => this._refreshReaderSettings(keys));
+
+        // ✅ PRIVATE: Keyboard shortcuts (opt-in: true for the whole page, or an element)
+        const keyTarget = options.keyboardShortcuts === true ? document : options.keyboardShortcuts || null;
+        this._keymap = new KeymapService(this, this._state, keyTarget);
+
         // ✅ PRIVATE: Initialize services
         // Wait for DOM to be ready before initializing services
         setTimeout(() => {
@@ -95,7 +183,39 @@ class CheetahReaderApp {
                 this._themeService.applyTheme(this._state.get('theme'));
             }
 
-            this._epubService = new EPUBService(this._reader);
+            this._epubService = new EPUBService(this._reader, {
+                bookData: this._bookData,
+                browserHistory: options.browserHistory === true
+            });
+
+            // Learned speeds are kept per book
+            this._epubService.on('bookLoaded', ({ bookId, file, chapterCount }) => {
+                this._bookSettings.setBook(bookId);
+                this._adaptiveSpeed.setBook(bookId);
+                this._annotations.setBook(bookId);
+                this._stats.setBook(bookId);
+
+                // Keep every opened book on the shelf
+                this._epubService.getCover()
+                    .then(cover => this._library.addBook(file, {
+                        bookId,
+                        title: this._bookMetadata?.title,
+                        author: this._bookMetadata?.author,
+                        chapterCount,
+                        cover
+                    }))
+                    .catch(error => console.error('❌ Failed to add book to library:', error));
+            });
+
+            // Title/author for annotation exports
+            this._epubService.on('metadataUpdated', (metadata) => {
+                this._bookMetadata = metadata;
+            });
+
+            // Highlights are drawn per chapter
+            this._epubService.on('chapterChanged', ({ index }) => {
+                this._annotations.setChapter(index);
+            });
 
             //
             // Listen for the engine to signal the chapter end
@@ -115,7 +235,11 @@ class CheetahReaderApp {
                 // FIXED BUG #9: Only proceed if the finished chapter matches the one we expected to be running
                 if (actualFinishedIndex !== -1 && actualFinishedIndex === expectedCurrentIndex) {
                     console.log('✅ Chapter end matches current index, loading next...');
-                    this._epubService.nextChapter();
+
+                    // A "finish this chapter" session pauses flow here, so the
+                    // next chapter is loaded but not played
+                    this._sessionService.handleChapterEnd();
+                    this._epubService.nextChapter({ seamless: true });
                 } else {
                     console.warn('⚠️ Chapter end event ignored (likely from a previous chapter or race condition).');
                 }
@@ -242,8 +366,39 @@ class CheetahReaderApp {
     // ========================================
     
     setSpeed(wpm) {
-        const clamped = Math.max(100, Math.min(650, wpm));
-        this._state.set('flow.speed', clamped);
+        // RSVP allows a higher ceiling than in-page flow
+        const max = this._reader ? this._reader.getMaxSpeed() : 650;
+        const clamped = Math.max(100, Math.min(max, wpm));
+
+        // Go through the reader so a playing Animator rebases its timeline (Bug #5)
+        if (this._reader) {
+            this._reader.setSpeed(clamped);
+        } else {
+            this._state.set('flow.speed', clamped);
+        }
+    }
+    
+    /**
+     * Enable or disable adaptive speed
+     * Speed drifts down after rewinds and short pauses, up after long
+     * uninterrupted stretches, and is remembered per book
+     * @param {boolean} enabled
+     */
+    setAdaptiveSpeed(enabled) {
+        this._state.set('adaptive.enabled', !!enabled);
+    }
+
+    /**
+     * Set the range adaptive speed may move within
+     * @param {number} min - Lowest WPM
+     * @param {number} max - Highest WPM
+     */
+    setAdaptiveSpeedBounds(min, max) {
+        const ceiling = this._reader ? this._reader.getMaxSpeed() : 650;
+        const low = Math.max(100, Math.min(ceiling, min));
+        const high = Math.max(low, Math.min(ceiling, max));
+        this._state.set('adaptive.minSpeed', low);
+        this._state.set('adaptive.maxSpeed', high);
     }
     
     setFocusWidth(width) {
@@ -251,11 +406,66 @@ class CheetahReaderApp {
         this._state.set('flow.focusWidth', clamped);
     }
     
+    /**
+     * Set how the focus window groups words
+     * 'fixed' slides a focusWidth-word window; 'phrase' highlights whole
+     * phrases with up to focusWidth content words
+     * @param {string} mode - 'fixed' or 'phrase'
+     */
+    setChunking(mode) {
+        if (mode !== 'fixed' && mode !== 'phrase') {
+            throw new Error('Chunking must be "fixed" or "phrase"');
+        }
+        this._state.set('flow.chunking', mode);
+        if (this._reader) {
+            this._reader.updateLayout();
+        }
+    }
+    
+    /**
+     * Configure auto-rewind when flow resumes after a pause
+     * The rewind grows with the length of the pause
+     * @param {string} mode - 'off', 'words', 'sentence' or 'line'
+     * @param {number} [words] - Words per step when mode is 'words' (1-30)
+     */
+    setRewind(mode, words) {
+        if (!['off', 'words', 'sentence', 'line'].includes(mode)) {
+            throw new Error('Rewind mode must be "off", "words", "sentence" or "line"');
+        }
+        this._state.set('flow.rewindMode', mode);
+        if (words !== undefined) {
+            this._state.set('flow.rewindWords', Math.max(1, Math.min(30, Math.round(words))));
+        }
+    }
+    
     setScrollLevel(level) {
         const clamped = Math.max(1, Math.min(5, level));
         this._state.set('flow.scrollLevel', clamped);
     }
     
+    /**
+     * Enable or disable per-word pacing (length, syllables, punctuation)
+     * When disabled, every word gets the same time at the configured WPM
+     * @param {boolean} enabled
+     */
+    setVariablePacing(enabled) {
+        this._state.set('flow.variablePacing', !!enabled);
+    }
+    
+    /**
+     * Set the pause multiplier for a boundary kind
+     * The multiplier is in average-word durations at the current WPM
+     * @param {string} kind - 'newline', 'clause', 'sentence' or 'paragraph'
+     * @param {number} multiplier - 0 (no pause) to 5
+     */
+    setPauseMultiplier(kind, multiplier) {
+        if (!['newline', 'clause', 'sentence', 'paragraph'].includes(kind)) {
+            throw new Error(`Unknown pause kind: ${kind}`);
+        }
+        const clamped = Math.max(0, Math.min(5, multiplier));
+        this._state.set(`flow.${kind}Pause`, clamped);
+    }
+    
     startFlow() {
         if (this._reader) {
             this._reader.setMode('flow');
@@ -267,6 +477,29 @@ class CheetahReaderApp {
         }
     }
     
+    /**
+     * Switch to RSVP mode (one word at a fixed spot) and start playing
+     */
+    startRSVP() {
+        if (this._reader) {
+            this._reader.setMode('rsvp');
+            setTimeout(() => {
+                if (this._reader) {
+                    this._reader.play();
+                }
+            }, 300);
+        }
+    }
+    
+    /**
+     * Set how many words RSVP shows at once
+     * @param {number} size - 1 to 3 words
+     */
+    setRSVPChunkSize(size) {
+        const clamped = Math.max(1, Math.min(3, Math.round(size)));
+        this._state.set('flow.rsvpChunkSize', clamped);
+    }
+    
     stopFlow() {
         if (this._reader) {
             this._reader.setMode('normal');
@@ -290,6 +523,15 @@ class CheetahReaderApp {
             this._reader.togglePlay();
         }
     }
+
+    /**
+     * Jump back to the start of the sentence (flow/RSVP only)
+     */
+    jumpBackSentence() {
+        if (this._reader) {
+            this._reader.jumpBackSentence();
+        }
+    }
     
     // ========================================
     // STEP 14B: PUBLIC API - CONTENT
@@ -314,6 +556,14 @@ class CheetahReaderApp {
             formattedText = paragraphs.map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('');
         }
         
+        this._bookSettings.setBook(null);
+        this._adaptiveSpeed.setBook(null);
+        this._annotations.setBook(null);
+        this._stats.setBook(null);
+        this._bookMetadata = null;
+        if (this._epubService) {
+            this._epubService.closeBook();
+        }
         this.loadContent(formattedText);
         return formattedText;
     }
@@ -342,9 +592,508 @@ class CheetahReaderApp {
         }
     }
     
-    loadChapter(index) {
+    /**
+     * Load a chapter (spine section)
+     * @param {number} index - Chapter index
+     * @param {string} [anchor] - Element id to move to, e.g. from a TOC entry
+     */
+    loadChapter(index, anchor) {
+        if (this._epubService) {
+            this._epubService.loadChapter(index, undefined, { anchor, history: true });
+        }
+    }
+
+    /**
+     * Return to where the last jump (link, TOC entry, bookmark or search result) was made from
+     * @returns {Promise<boolean>} False if there is nothing to go back to
+     */
+    goBack() {
+        return this._epubService ? this._epubService.back() : Promise.resolve(false);
+    }
+
+    /**
+     * Redo a jump undone with goBack()
+     * @returns {Promise<boolean>} False if there is nothing to go forward to
+     */
+    goForward() {
+        return this._epubService ? this._epubService.forward() : Promise.resolve(false);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canGoBack() {
+        return this._epubService ? this._epubService.canGoBack() : false;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canGoForward() {
+        return this._epubService ? this._epubService.canGoForward() : false;
+    }
+
+    // ========================================
+    // PUBLIC API - BOOKMARKS
+    // ========================================
+
+    /**
+     * Bookmark the current position in the open book
+     * @returns {Object|null} { id, chapterIndex, wordIndex, snippet, createdAt }
+     */
+    addBookmark() {
+        return this._epubService ? this._epubService.addBookmark() : null;
+    }
+
+    /**
+     * Remove a bookmark
+     * @param {string} id - Bookmark id
+     * @returns {boolean}
+     */
+    removeBookmark(id) {
+        return this._epubService ? this._epubService.removeBookmark(id) : false;
+    }
+
+    /**
+     * Get bookmarks for the open book, in reading order
+     * @returns {Array<Object>}
+     */
+    getBookmarks() {
+        return this._epubService ? this._epubService.getBookmarks() : [];
+    }
+
+    /**
+     * Jump to a bookmark (loads its chapter, then moves to its word)
+     * @param {string} id - Bookmark id
+     * @returns {Promise}
+     */
+    goToBookmark(id) {
+        return this._epubService ? this._epubService.goToBookmark(id) : Promise.resolve();
+    }
+
+    // ========================================
+    // PUBLIC API - SEARCH
+    // ========================================
+
+    /**
+     * Search the open book and highlight the matches
+     * The first search of a book waits for its index; later ones are instant.
+     * @param {string} query - Text to find
+     * @param {Object} [options] - { caseSensitive, diacriticSensitive, wholeWord, limit }
+     * @returns {Promise<Object|null>} { query, hits: [{ chapterIndex, chapterLabel, wordIndex,
+     *   endIndex, context: { before, match, after } }], truncated } (null if superseded)
+     */
+    search(query, options = {}) {
+        return this._epubService
+            ? this._epubService.search(query, options)
+            : Promise.reject(new Error('No book is open'));
+    }
+
+    /**
+     * Jump to a hit from the last search (loads its chapter, then moves to its word)
+     * @param {number} index - Position of the hit in the results
+     * @returns {Promise}
+     */
+    goToSearchResult(index) {
+        return this._epubService ? this._epubService.goToSearchResult(index) : Promise.resolve();
+    }
+
+    /**
+     * Clear the last search and its highlights
+     */
+    clearSearch() {
+        if (this._epubService) {
+            this._epubService.clearSearch();
+        }
+    }
+
+    // ========================================
+    // PUBLIC API - NOTES
+    // ========================================
+
+    /**
+     * Show a footnote or endnote in a popover (pauses flow until it closes)
+     * Note links in the book do this on their own when clicked.
+     * @param {string} href - Note link href
+     * @param {Object} [options] - { label, rect }
+     * @returns {Promise<boolean>} False if the note wasn't found
+     */
+    showNote(href, options = {}) {
+        return this._epubService ? this._epubService.showNote(href, options) : Promise.resolve(false);
+    }
+
+    /**
+     * Close the note popover and resume flow if it was playing
+     */
+    closeNote() {
+        if (this._epubService) {
+            this._epubService.closeNote();
+        }
+    }
+
+    // ========================================
+    // PUBLIC API - LIBRARY
+    // ========================================
+
+    /**
+     * Get the id of the open book
+     * @returns {string|null}
+     */
+    getBookId() {
+        return this._epubService?.bookId || null;
+    }
+
+    /**
+     * List books on the local shelf
+     * @param {string} [sortBy] - 'lastOpened', 'title', 'author' or 'progress' (default: the saved shelf order)
+     * @returns {Promise<Array<Object>>} [{ bookId, title, author, cover, lastOpenedAt, progress, ... }]
+     */
+    getLibrary(sortBy = this._state.get('library.sort')) {
+        return this._library.listBooks(sortBy);
+    }
+
+    /**
+     * Reopen a book from the shelf
+     * @param {string} bookId - Book id
+     * @returns {Promise}
+     */
+    async openFromLibrary(bookId) {
+        const file = await this._library.getFile(bookId);
+        if (!file) {
+            throw new Error('Book is not in the library');
+        }
+        if (!this._epubService) {
+            throw new Error('EPUBService not initialized yet');
+        }
+        await this._epubService.loadBook(file);
+    }
+
+    /**
+     * Delete a book from the shelf, with its positions, bookmarks and annotations
+     * The book is closed first if it is open.
+     * @param {string} bookId - Book id
+     * @returns {Promise<boolean>} True if the book was on the shelf
+     */
+    async removeFromLibrary(bookId) {
+        if (bookId === this.getBookId()) {
+            this._epubService.closeBook();
+            this._bookSettings.setBook(null);
+            this._adaptiveSpeed.setBook(null);
+            this._annotations.setBook(null);
+            this._stats.setBook(null);
+            this._bookMetadata = null;
+        }
+        return this._library.removeBook(bookId);
+    }
+
+    /**
+     * Set how the shelf is shown
+     * @param {string} view - 'grid' or 'list'
+     */
+    setLibraryView(view) {
+        if (!['grid', 'list'].includes(view)) {
+            console.warn(`Invalid library view: ${view}`);
+            return;
+        }
+        this._state.set('library.view', view);
+    }
+
+    /**
+     * Set the shelf order
+     * @param {string} sort - 'lastOpened', 'title', 'author' or 'progress'
+     */
+    setLibrarySort(sort) {
+        if (!LibraryService.SORTS.includes(sort)) {
+            console.warn(`Invalid library sort: ${sort}`);
+            return;
+        }
+        this._state.set('library.sort', sort);
+    }
+
+    /**
+     * Subscribe to shelf changes ('libraryChanged' - { bookId, action })
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onLibrary(event, callback) {
+        return this._library.on(event, callback);
+    }
+
+    // ========================================
+    // PUBLIC API - PER-BOOK SETTINGS
+    // ========================================
+
+    /**
+     * Get the open book's setting overrides
+     * @returns {Object} { bookId, overrides: { key: value }, keys: overridable keys }
+     */
+    getBookSettings() {
+        return {
+            bookId: this._bookSettings.bookId,
+            overrides: this._bookSettings.getOverrides(),
+            keys: [...BookSettingsService.OVERRIDABLE_KEYS]
+        };
+    }
+
+    /**
+     * Pin current setting values to the open book
+     * @param {string|Array<string>} [keys] - e.g. 'fontSize' (default: font, theme, sizes, margins and speed)
+     * @returns {boolean} False if no book is open
+     */
+    pinBookSettings(keys) {
+        return this._bookSettings.pin(keys);
+    }
+
+    /**
+     * Drop the open book's overrides and go back to the global settings
+     * @param {string|Array<string>} [keys] - Keys to reset (default: all)
+     */
+    resetBookSettings(keys) {
+        this._bookSettings.reset(keys);
+    }
+
+    /**
+     * Pin every font, theme, size, margin and speed change to the open book
+     * @param {boolean} enabled
+     */
+    setPinToBook(enabled) {
+        this._state.set('pinToBook', !!enabled);
+    }
+
+    /**
+     * Subscribe to per-book settings events ('overridesChanged' - { bookId, overrides })
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onBookSettings(event, callback) {
+        return this._bookSettings.on(event, callback);
+    }
+
+    // ========================================
+    // PUBLIC API - SETTINGS PROFILES
+    // ========================================
+
+    /**
+     * List settings profiles
+     * @returns {Object} { profiles: [{ id, name, createdAt, updatedAt }], activeId, modified }
+     */
+    getProfiles() {
+        return {
+            profiles: this._profiles.list(),
+            activeId: this._profiles.getActiveId(),
+            modified: this._profiles.isModified()
+        };
+    }
+
+    /**
+     * Save the current settings as a new named profile
+     * @param {string} name - e.g. 'Commute'
+     * @returns {Object} The profile
+     */
+    createProfile(name) {
+        return this._profiles.create(name);
+    }
+
+    /**
+     * Overwrite a profile with the current settings
+     * @param {string} id - Profile id
+     * @returns {Object} The profile
+     */
+    saveProfile(id) {
+        return this._profiles.update(id);
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} id - Profile id
+     * @param {string} name - New name
+     * @returns {Object} The profile
+     */
+    renameProfile(id, name) {
+        return this._profiles.rename(id, name);
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} id - Profile id
+     * @returns {boolean}
+     */
+    deleteProfile(id) {
+        return this._profiles.remove(id);
+    }
+
+    /**
+     * Apply all of a profile's settings
+     * Settings the open book overrides keep their book value until it's closed.
+     * @param {string} id - Profile id
+     * @returns {Object} The profile
+     */
+    switchProfile(id) {
+        return this._profiles.switchTo(id);
+    }
+
+    /**
+     * Export a profile as a JSON file's text
+     * @param {string} id - Profile id
+     * @returns {string}
+     */
+    exportProfile(id) {
+        return JSON.stringify(this._profiles.exportProfile(id), null, 2);
+    }
+
+    /**
+     * Add a profile from an exported file (not applied until switched to)
+     * @param {string} json - File contents
+     * @returns {Object} The new profile
+     */
+    importProfile(json) {
+        return this._profiles.importProfile(json);
+    }
+
+    /**
+     * Subscribe to profile events ('profilesChanged' - { profiles, activeId },
+     * 'modifiedChanged' - { activeId, modified })
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onProfiles(event, callback) {
+        return this._profiles.on(event, callback);
+    }
+
+    // ========================================
+    // PUBLIC API - HIGHLIGHTS & NOTES
+    // ========================================
+
+    /**
+     * Get the words covered by the current text selection (normal mode)
+     * @returns {Object|null} { start, end, text }
+     */
+    getSelectedRange() {
+        return this._reader.getSelectedRange();
+    }
+
+    /**
+     * Highlight the selected text (or a given word range) in the current chapter
+     * @param {Object} [options] - { color, note, range: { start, end } }
+     * @returns {Object|null} { id, chapterIndex, start, end, quote, color, note, createdAt },
+     *   or null if nothing is selected or no book is open
+     */
+    addHighlight(options = {}) {
+        const range = options.range || this._reader.getSelectedRange();
+        const highlight = this._annotations.add(range, options);
+
+        if (highlight && !options.range) {
+            window.getSelection()?.removeAllRanges();
+        }
+        return highlight;
+    }
+
+    /**
+     * Change a highlight's color and/or note
+     * @param {string} id - Highlight id
+     * @param {Object} changes - { color, note }
+     * @returns {Object|null} Updated highlight
+     */
+    updateHighlight(id, changes) {
+        return this._annotations.update(id, changes);
+    }
+
+    /**
+     * Remove a highlight
+     * @param {string} id - Highlight id
+     * @returns {boolean}
+     */
+    removeHighlight(id) {
+        return this._annotations.remove(id);
+    }
+
+    /**
+     * Get one highlight
+     * @param {string} id - Highlight id
+     * @returns {Object|null}
+     */
+    getHighlight(id) {
+        return this._annotations.get(id);
+    }
+
+    /**
+     * Get all highlights of the open book, in reading order
+     * @returns {Array<Object>}
+     */
+    getHighlights() {
+        return this._annotations.getAll();
+    }
+
+    /**
+     * Get the available highlight colors
+     * @returns {Array<string>}
+     */
+    getHighlightColors() {
+        return [...AnnotationService.COLORS];
+    }
+
+    /**
+     * Export the open book's highlights and notes
+     * 'markdown' groups them by chapter under the book title and author;
+     * 'json' is for tooling and can be restored with importAnnotations()
+     * @param {string} [format='markdown'] - 'markdown' or 'json'
+     * @returns {string|null} Export text, or null if no book is open
+     */
+    exportAnnotations(format = 'markdown') {
+        if (!this._annotations.bookId) return null;
+
+        const book = {
+            title: this._bookMetadata?.title,
+            author: this._bookMetadata?.author,
+            chapters: this.getChapters()
+        };
+
+        if (format === 'json') {
+            return JSON.stringify(this._annotations.exportJSON(book), null, 2);
+        }
+        if (format === 'markdown') {
+            return this._annotations.exportMarkdown(book);
+        }
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    /**
+     * Restore highlights from a JSON export onto the book they belong to
+     * @param {string|Object} json - Text (or parsed object) from exportAnnotations('json')
+     * @returns {Object} { bookId, imported, skipped }
+     */
+    importAnnotations(json) {
+        return this._annotations.importJSON(json);
+    }
+
+    /**
+     * Subscribe to highlight changes ('annotationsChanged' - { bookId, annotations })
+     * Taps on a highlight arrive as the reader event 'onHighlightClick'
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onAnnotation(event, callback) {
+        return this._annotations.on(event, callback);
+    }
+
+    /**
+     * Go back to where this book was last read (after 'resumeAvailable')
+     * @returns {Promise}
+     */
+    resumeReading() {
+        return this._epubService ? this._epubService.resumePosition() : Promise.resolve();
+    }
+
+    /**
+     * Decline the resume offer and stay at the start of the book
+     */
+    dismissResume() {
         if (this._epubService) {
-            this._epubService.loadChapter(index);
+            this._epubService.dismissResume();
         }
     }
     
@@ -437,12 +1186,23 @@ class CheetahReaderApp {
      *
      * Available events:
      * - 'bookLoadStarted' - { filename }
-     * - 'bookLoaded' - { filename, chapterCount }
-     * - 'metadataUpdated' - { title, author, publisher, language, ... }
-     * - 'chaptersExtracted' - { chapters: [...], isEmpty }
-     * - 'chapterChanged' - { index, title, isFirst, isLast, totalChapters }
-     * - 'navigationStateChanged' - { visible, hasPrev, hasNext, currentIndex, totalChapters }
+     * - 'bookLoaded' - { bookId, filename, chapterCount }
+     * - 'metadataUpdated' - { title, author, publisher, language, publicationDate, description, rights,
+     *   identifiers: [{ value, scheme }], cover (blob URL or null) }
+     * - 'bookClosed' - { bookId } (the book was closed or replaced)
+     * - 'chaptersExtracted' - { chapters: [{ id, href, label, index, linear }] (spine order),
+     *   toc: [{ id, href, label, chapterIndex, anchor, depth, untitled, children }], isEmpty }
+     * - 'chapterChanged' - { index, anchor, title, isFirst, isLast, totalChapters }
+     * - 'navigationStateChanged' - { visible, hasPrev, hasNext, canGoBack, canGoForward, currentIndex, totalChapters }
      * - 'epubError' - { code, message, details }
+     * - 'resumeAvailable' - { chapterIndex, wordIndex, label, savedAt } (book opened before)
+     * - 'resumeDismissed' - { resumed }
+     * - 'bookmarksChanged' - { bookmarks: [{ id, chapterIndex, chapterLabel, wordIndex, snippet, createdAt }] }
+     * - 'searchIndexProgress' - { bookId, indexed, total } (chapters indexed for search)
+     * - 'searchResults' - { query, hits, truncated }
+     * - 'searchCleared' - {}
+     * - 'noteOpened' - { href, chapterIndex, anchor, label, html, rect } (footnote link clicked)
+     * - 'noteClosed' - { href }
      *
      * @param {string} event - Event name
      * @param {Function} callback - Callback function
@@ -467,6 +1227,191 @@ class CheetahReaderApp {
         }
     }
 
+    // ========================================
+    // PUBLIC API - READING SESSIONS
+    // ========================================
+
+    /**
+     * Start a timed reading session
+     * Without a config, the last used session settings are reused
+     * @param {Object} [config] - { type: 'time'|'words'|'chapter', minutes, words }
+     * @returns {Object} Session status
+     */
+    startSession(config = {}) {
+        if (config.type !== undefined) {
+            if (!['time', 'words', 'chapter'].includes(config.type)) {
+                console.warn(`Invalid session type: ${config.type}`);
+                return null;
+            }
+            this._state.set('session.type', config.type);
+        }
+        if (config.minutes !== undefined) {
+            this._state.set('session.minutes', Math.max(1, Math.min(600, Number(config.minutes) || 1)));
+        }
+        if (config.words !== undefined) {
+            this._state.set('session.words', Math.max(50, Math.min(500000, Math.round(Number(config.words) || 50))));
+        }
+        return this._sessionService.start();
+    }
+
+    /**
+     * End the current session early
+     * @returns {Object|null} Summary { durationMs, wordsRead, effectiveWpm, configuredWpm, ... }
+     */
+    endSession() {
+        return this._sessionService.end();
+    }
+
+    /**
+     * Get the running session's status
+     * @returns {Object|null} { type, target, elapsedMs, wordsRead, remaining, progress }
+     */
+    getSession() {
+        return this._sessionService.getStatus();
+    }
+
+    /**
+     * Subscribe to session events
+     *
+     * Available events:
+     * - 'sessionStarted' - status
+     * - 'sessionTick' - status
+     * - 'sessionCompleted' - summary
+     * - 'sessionEnded' - summary
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onSession(event, callback) {
+        return this._sessionService.on(event, callback);
+    }
+
+    // ========================================
+    // PUBLIC API - READING STATISTICS
+    // ========================================
+
+    /**
+     * Get reading statistics for the dashboard
+     * Minutes and words only count flow/RSVP reading while it plays.
+     * @param {number} [days=14] - Number of days up to today
+     * @returns {Promise<Object>} {
+     *   days: [{ date, minutes, words, chapters, sessions, effectiveWpm, configuredWpm }],
+     *   books: [{ bookId, title, author, progress, minutes, words, chapters, effectiveWpm, lastReadAt }]
+     * }
+     */
+    async getReadingStats(days = 14) {
+        let library = [];
+        try {
+            library = await this._library.listBooks('lastOpened');
+        } catch (error) {
+            console.warn('Library unavailable, stats without books:', error);
+        }
+
+        return {
+            days: this._stats.getDays(days),
+            books: library.map(book => ({
+                bookId: book.bookId,
+                title: book.title,
+                author: book.author,
+                progress: book.progress,
+                ...this._stats.getBookStats(book.bookId)
+            }))
+        };
+    }
+
+    /**
+     * Forget the daily reading statistics
+     */
+    resetReadingStats() {
+        this._stats.clear();
+    }
+
+    // ========================================
+    // PUBLIC API - UNDO / REDO
+    // ========================================
+
+    /**
+     * Revert the last settings change (a slider drag counts as one change)
+     * @returns {boolean} False if there was nothing to undo
+     */
+    undo() {
+        return this._undo.undo() !== null;
+    }
+
+    /**
+     * Re-apply the last undone settings change
+     * @returns {boolean} False if there was nothing to redo
+     */
+    redo() {
+        return this._undo.redo() !== null;
+    }
+
+    /**
+     * @returns {Object} { canUndo, canRedo }
+     */
+    getUndoState() {
+        return { canUndo: this._undo.canUndo(), canRedo: this._undo.canRedo() };
+    }
+
+    /**
+     * Subscribe to undo events ('historyChanged' - { canUndo, canRedo },
+     * 'applied' - { keys, action })
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onUndo(event, callback) {
+        return this._undo.on(event, callback);
+    }
+
+    // ========================================
+    // PUBLIC API - KEYBOARD SHORTCUTS
+    // ========================================
+
+    /**
+     * Get shortcut actions with their labels and bound keys
+     * @returns {Array<Object>} [{ action, label, keys }]
+     */
+    getKeyBindings() {
+        const bindings = this._keymap.getBindings();
+        return Object.entries(this._keymap.actions).map(([action, { label }]) => ({
+            action,
+            label,
+            keys: bindings[action] || []
+        }));
+    }
+
+    /**
+     * Bind key combos to an action (removing them from any other action)
+     * @param {string} action - Action name, e.g. 'togglePlay'
+     * @param {string|Array<string>} keys - e.g. 'Space', ['ArrowUp', 'k'], [] to unbind
+     */
+    setKeyBinding(action, keys) {
+        this._keymap.setBinding(action, keys);
+    }
+
+    /**
+     * Bind the next key pressed to an action
+     * Escape cancels
+     * @param {string} action - Action name
+     * @returns {Promise<string|null>} The recorded combo, or null if cancelled
+     */
+    async recordKeyBinding(action) {
+        const combo = await this._keymap.record();
+        if (combo) {
+            this._keymap.setBinding(action, [combo]);
+        }
+        return combo;
+    }
+
+    /**
+     * Restore the default shortcuts
+     */
+    resetKeyBindings() {
+        this._keymap.resetBindings();
+    }
+
     // ========================================
     // PUBLIC API - SETTINGS PERSISTENCE
     // ========================================
@@ -475,33 +1420,85 @@ class CheetahReaderApp {
      * Clear all saved settings
      */
     clearSettings() {
-        if (this.persistence) {
+        if (this._persistence) {
             this._persistence.clearSettings();
         }
     }
     
     /**
      * Export settings as JSON string
-     * @returns {string}
+     * @returns {string} { version, settings }
      */
     exportSettings() {
-        return this._persistence ? this.persistence.exportSettings() : '{}';
+        return this._persistence ? this._persistence.exportSettings() : '{}';
     }
     
     /**
      * Import settings from JSON string
+     * Older exports are migrated; invalid values are skipped and reported.
      * @param {string} jsonString
-     * @returns {boolean}
+     * @returns {Object} { success, fromVersion, applied, rejected: [{ key, value, reason }], unknown, error }
      */
     importSettings(jsonString) {
-        return this._persistence ? this.persistence.importSettings(jsonString) : false;
+        const report = this._persistence.importSettings(jsonString);
+        if (report.success) {
+            this._refreshReaderSettings(report.applied);
+        }
+        return report;
     }
     
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Bring the reader up to date after services replaced setting values
+     * (book overrides, profile switches)
+     * @private
+     */
+    _refreshReaderSettings(keys) {
+        this._reader.updateStyles();
+        this._reader.updateLayout();
+
+        // Let a playing Animator pick up the new speed
+        if (keys.includes('flow.speed')) {
+            const speed = this._state.get('flow.speed');
+            this._reader.setSpeed(Math.max(this._reader.config.speed.min, Math.min(this._reader.getMaxSpeed(), speed)));
+        }
+    }
+
     // ========================================
     // LIFECYCLE
     // ========================================
     
     destroy() {
+        if (this._sessionService) {
+            this._sessionService.destroy();
+        }
+        if (this._adaptiveSpeed) {
+            this._adaptiveSpeed.destroy();
+        }
+        if (this._annotations) {
+            this._annotations.destroy();
+        }
+        if (this._library) {
+            this._library.destroy();
+        }
+        if (this._stats) {
+            this._stats.destroy();
+        }
+        if (this._bookSettings) {
+            this._bookSettings.destroy();
+        }
+        if (this._profiles) {
+            this._profiles.destroy();
+        }
+        if (this._undo) {
+            this._undo.destroy();
+        }
+        if (this._keymap) {
+            this._keymap.destroy();
+        }
         if (this._epubService) {
             this._epubService.destroy();
         }
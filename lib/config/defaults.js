@@ -33,10 +33,41 @@ window.DEFAULT_CONFIG = {
         speed: 400,          // WPM
         currentWordIndex: 0,
         focusWidth: 2,       // Number of words in focus
+        chunking: 'fixed',   // 'fixed' window or 'phrase' chunks
         scrollLevel: 1,      // 1-5 scroll aggressiveness
-        newlinePause: 1.5    // Pause multiplier at newlines
+        newlinePause: 1.5,   // Pause multiplier at newlines
+        clausePause: 0.5,    // Pause multiplier after , ; :
+        sentencePause: 1.5,  // Pause multiplier after . ! ?
+        paragraphPause: 3,   // Pause multiplier at paragraph/heading boundaries
+        variablePacing: true, // Weigh words by length, syllables and punctuation
+        rsvpChunkSize: 1,    // Words shown at once in RSVP mode
+        rewindMode: 'off',   // Rewind on resume: 'off', 'words', 'sentence', 'line'
+        rewindWords: 5       // Words per rewind step in 'words' mode
     },
     
+    // Timed reading sessions
+    session: {
+        type: 'time',        // 'time', 'words' or 'chapter'
+        minutes: 20,         // Target for 'time' sessions
+        words: 5000          // Target for 'words' sessions
+    },
+    
+    // Adaptive speed (learns from rewinds and pauses, stored per book)
+    adaptive: {
+        enabled: false,
+        minSpeed: 250,       // WPM floor for automatic changes
+        maxSpeed: 600        // WPM ceiling for automatic changes
+    },
+    
+    // Library shelf
+    library: {
+        view: 'grid',        // 'grid' or 'list'
+        sort: 'lastOpened'   // 'lastOpened', 'title', 'author' or 'progress'
+    },
+    
+    // Pin font, theme, size, margin and speed changes to the open book
+    pinToBook: false,
+    
     // Scroll behavior
     scroll: {
         comfortZoneTop: 0.25,
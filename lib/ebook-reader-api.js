@@ -20,6 +20,7 @@
         FONTS,
         THEMES,
         LINE_BREAK_THRESHOLD,
+        READER_CONFIG,
         WordIndexManager,
         // FontLoader removed in Step 18B - use FontService instead
         EBookReaderError,
@@ -54,19 +55,18 @@
                         // When state changes, call the safe re-render method
                         this._handleBionicRender();
                     });
+                    
+                    // Rebuild the pacing timeline in place when pacing is toggled
+                    this.stateManager.subscribe('flow.variablePacing', () => {
+                        if (this.state.flow.playing && this.animator && this.wordIndexManager) {
+                            this.animator.setTimeline(this.wordIndexManager.words);
+                            this.animator.jumpTo(this.state.flow.currentWordIndex);
+                        }
+                    });
                 }
                 
-                this.config = {
-                    fontSize: { min: 12, default: 18, max: 48 },
-                    speed: { min: 100, default: 400, max: 650 },
-                    newlinePause: 1.5,
-                    scroll: {
-                        timeout: 1500,
-                        gap: 0.1,
-                        comfortZoneTop: 0.15,
-                        comfortZoneBottom: 0.70
-                    }
-                };
+                // Own copy, so tweaking one reader's config doesn't affect others
+                this.config = JSON.parse(JSON.stringify(READER_CONFIG));
 
                 // STEP 9A: Renamed this.state → this._internal (runtime state only)
                 this._internal = {
@@ -85,7 +85,8 @@
                         rafId: null,
                         userScroll: false,
                         pauseUntil: 0,
-                        lastPausedWord: -1
+                        lastPausedWord: -1,
+                        pausedAt: null
                     },
                     gesture: {
                         touches: [],
@@ -111,7 +112,9 @@
                     onFontLoading: [],
                     onFontLoaded: [],
                     onStateChange: [],
-                    onChapterEnd: []
+                    onChapterEnd: [],
+                    onWordJump: [],
+                    onHighlightClick: []
                 };
 
                 this.container = typeof containerSelector === 'string' 
@@ -133,6 +136,7 @@
                 this._scrollHandler = () => this._handleScroll();
                 this._systemThemeHandler = (e) => this._handleSystemThemeChange(e);
                 this._wordClickHandler = (e) => this._handleWordClick(e);
+                this._rsvpClickHandler = (e) => this._handleRSVPClick(e);
 
                 // STEP: CSS Separation - styles now loaded via reader-engine.css
                 this._buildDOM();
@@ -234,7 +238,7 @@
             if (this.wordIndexManager) {
                 this.wordIndexManager.invalidate();
             }
-            if (this.state.mode === 'flow' && !this._destroyed && this.wordIndexManager) {
+            if (this._isTimedMode() && !this._destroyed && this.wordIndexManager) {
                 requestAnimationFrame(() => {
                     this._updateWordStates(this.state.flow.currentWordIndex);
                 });
@@ -245,6 +249,11 @@
         // PUBLIC API - CONTENT & MODE
         // ========================================
 
+        /**
+         * Load new content
+         * @param {string} html - HTML content
+         * @returns {Promise} Resolves once rendered (and indexed, in flow/RSVP)
+         */
         loadContent(html) {
             if (typeof html !== 'string') {
                 throw new ContentError(`Content must be a string`);
@@ -258,13 +267,68 @@
             // CRITICAL: Reset word index SYNCHRONOUSLY before async render starts
             // This prevents race conditions where play() is called before render completes
             this.state.flow.currentWordIndex = 0;
+            this.state.flow.pausedAt = null;
+            
+            return this._render();
+        }
+
+        /**
+         * Replace the content without a visible gap (e.g. the next chapter)
+         * Skips the fade, indexes words right away and keeps flow playing
+         * @param {string} html - HTML content
+         * @param {boolean} [autoplay] - Start playing once swapped in (defaults to current play state)
+         * @returns {Promise} Resolves once the new content is in place
+         */
+        async continueWith(html, autoplay) {
+            if (typeof html !== 'string' || html.trim().length === 0) {
+                throw new ContentError('Content cannot be empty');
+            }
+            if (this._destroyed) return;
+            
+            const shouldPlay = autoplay !== undefined ? autoplay : this.state.flow.playing;
+            
+            // Stop the current loop quietly - play state is restored below
+            if (this.animator) {
+                this.animator.stop();
+            }
+            if (this.state.flow.rafId) {
+                clearTimeout(this.state.flow.rafId);
+                this.state.flow.rafId = null;
+            }
+            this.state.flow.playing = false;
+            
+            this.state.content = html;
+            this.state.flow.currentWordIndex = 0;
+            this.state.flow.pausedAt = null;
+            
+            await this._render({ immediate: true });
+            if (this._destroyed) return;
+            
+            if (this.el && this.el.reader) {
+                this.el.reader.scrollTop = 0;
+            }
             
-            this._render();
+            if (shouldPlay && this._isTimedMode()) {
+                this._togglePlay('chapter');
+            } else if (this._isTimedMode()) {
+                this._updateWordStates(0);
+            }
+        }
+
+        /**
+         * Pre-wrap content that is likely to be loaded next
+         * @param {string} html - HTML content
+         */
+        preloadContent(html) {
+            if (this._destroyed || !this.renderer || typeof html !== 'string') return;
+            
+            const bionic = this.stateManager ? this.stateManager.get('bionic') : false;
+            this.renderer.prepare(html, this.state.mode, bionic);
         }
 
         setMode(mode) {
-            if (mode !== 'normal' && mode !== 'flow') {
-                throw new Error('Mode must be "normal" or "flow"');
+            if (mode !== 'normal' && mode !== 'flow' && mode !== 'rsvp') {
+                throw new Error('Mode must be "normal", "flow" or "rsvp"');
             }
             this._setMode(mode, true);
             this._emit('onModeChange', mode);
@@ -323,13 +387,14 @@
         // ========================================
 
         setSpeed(wpm) {
-            if (typeof wpm !== 'number' || wpm < this.config.speed.min || wpm > this.config.speed.max) {
-                throw new Error(`Speed must be between ${this.config.speed.min} and ${this.config.speed.max}`);
+            const max = this.getMaxSpeed();
+            if (typeof wpm !== 'number' || wpm < this.config.speed.min || wpm > max) {
+                throw new Error(`Speed must be between ${this.config.speed.min} and ${max}`);
             }
             
-            // STEP 9F: Write to StateManager
+            // STEP 9F: Write to StateManager (not silent, so the speed is saved)
             if (this.stateManager) {
-                this.stateManager.set('flow.speed', wpm, true);
+                this.stateManager.set('flow.speed', wpm);
             }
             
             //
@@ -345,6 +410,15 @@
             this._emit('onSpeedChange', wpm);
         }
 
+        /**
+         * Get the speed ceiling for the current mode
+         * RSVP can go faster than in-page flow because the eyes don't move
+         * @returns {number} Max WPM
+         */
+        getMaxSpeed() {
+            return this.state.mode === 'rsvp' ? this.config.speed.rsvpMax : this.config.speed.max;
+        }
+
         setLineHeight(lineHeight) {
             if (typeof lineHeight !== 'number' || lineHeight < 1.0 || lineHeight > 3.0) {
                 throw new Error('Line height must be between 1.0 and 3.0');
@@ -379,49 +453,179 @@
             }
         }
 
-        play() {
+        /**
+         * Start flow/RSVP from the current word
+         * @param {Object} [options]
+         * @param {boolean} [options.rewind=true] - Step back after a long pause (see flow.rewindMode)
+         * @param {string} [options.source='user'] - Passed on in onPlayChange (see _togglePlay)
+         */
+        play({ rewind = true, source = 'user' } = {}) {
             console.log('🎬 play() called - State check:', {
                 'flow.playing': this.state.flow.playing,
                 'mode': this.state.mode,
-                'will_toggle': !this.state.flow.playing && this.state.mode === 'flow'
+                'will_toggle': !this.state.flow.playing && this._isTimedMode()
             });
             
-            if (!this.state.flow.playing && this.state.mode === 'flow') {
+            if (!this.state.flow.playing && this._isTimedMode()) {
                 console.log('✅ Conditions met, calling _togglePlay()');
-                this._togglePlay();
+                if (!rewind) {
+                    this.state.flow.pausedAt = null;
+                }
+                this._togglePlay(source);
             } else {
                 console.warn('❌ play() conditions not met:', {
                     alreadyPlaying: this.state.flow.playing,
-                    notInFlowMode: this.state.mode !== 'flow'
+                    notInFlowMode: !this._isTimedMode()
                 });
             }
         }
 
-        pause() {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.source='user'] - Passed on in onPlayChange (see _togglePlay)
+         */
+        pause({ source = 'user' } = {}) {
             if (this.state.flow.playing) {
-                this._togglePlay();
+                this._togglePlay(source);
             }
         }
 
         togglePlay() {
-            if (this.state.mode === 'flow') {
+            if (this._isTimedMode()) {
                 this._togglePlay();
             }
         }
 
+        /**
+         * Move to a word. Flow/RSVP continue from it; normal mode scrolls it
+         * to the top of the page (and flow will start from it)
+         * @param {number} index - Word index
+         */
         jumpToWord(index) {
             if (typeof index !== 'number' || index < 0) {
                 throw new Error('Word index must be a non-negative number');
             }
             
-            const totalWords = this.wordIndexManager?.getTotalWords() || 0;
-            if (index >= totalWords) {
-                throw new Error(`Word index ${index} exceeds total words ${totalWords}`);
+            if (this._isTimedMode()) {
+                const totalWords = this.wordIndexManager?.getTotalWords() || 0;
+                if (index >= totalWords) {
+                    throw new Error(`Word index ${index} exceeds total words ${totalWords}`);
+                }
+                this._jumpToWord(index);
+                return;
+            }
+            
+            const wordEl = this.el?.content?.querySelector(`.flow-word[data-word-index="${index}"]`);
+            if (!wordEl) {
+                throw new Error(`Word index ${index} not found in content`);
             }
             
-            if (this.state.mode === 'flow') {
-                this._jumpToWord(index);
+            // Entering flow restores state.saved - start from here instead
+            this.state.flow.currentWordIndex = index;
+            this.state.flow.pausedAt = null;
+            this.state.saved = { wordIndex: index, playing: false };
+            
+            const readerTop = this.el.reader.getBoundingClientRect().top;
+            const lineHeight = wordEl.getBoundingClientRect().height;
+            this.el.reader.scrollTop += wordEl.getBoundingClientRect().top - readerTop - lineHeight;
+        }
+
+        /**
+         * Get the text of a run of words (e.g. a bookmark snippet)
+         * @param {number} index - First word index
+         * @param {number} [count=12] - Number of words
+         * @returns {string}
+         */
+        getTextAt(index, count = 12) {
+            if (!this.el?.content) return '';
+            
+            const words = Array.from(this.el.content.querySelectorAll('.flow-word'))
+                .slice(index, index + count)
+                .map(el => el.textContent.trim())
+                .filter(Boolean);
+            return words.join(' ');
+        }
+
+        /**
+         * Get the reading position as a word index
+         * Flow/RSVP: the current word. Normal mode: the first word at the top of the page.
+         * @returns {number}
+         */
+        getPosition() {
+            if (this._isTimedMode() || !this.el?.content || !this.el.reader) {
+                return Math.floor(this.state.flow.currentWordIndex);
+            }
+            
+            const words = this.el.content.querySelectorAll('.flow-word');
+            if (words.length === 0) return 0;
+            
+            // Binary search for the first word whose bottom is below the top edge
+            const top = this.el.reader.getBoundingClientRect().top;
+            let lo = 0;
+            let hi = words.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (words[mid].getBoundingClientRect().bottom <= top) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            return parseInt(words[lo].dataset.wordIndex, 10) || 0;
+        }
+
+        /**
+         * Get the words covered by the current text selection
+         * @returns {Object|null} { start, end, text }, or null if nothing in the content is selected
+         */
+        getSelectedRange() {
+            const selection = window.getSelection ? window.getSelection() : null;
+            if (!selection || selection.isCollapsed || !this.el?.content) return null;
+            
+            const selected = Array.from(this.el.content.querySelectorAll('.flow-word'))
+                .filter(el => selection.containsNode(el, true) && el.textContent.trim());
+            if (selected.length === 0) return null;
+            
+            const start = parseInt(selected[0].dataset.wordIndex, 10);
+            const end = parseInt(selected[selected.length - 1].dataset.wordIndex, 10);
+            return { start, end, text: this.getTextAt(start, end - start + 1) };
+        }
+
+        /**
+         * Set highlights for the loaded content
+         * They are re-applied whenever the content is re-rendered (bionic toggle, mode switch)
+         * @param {Array<Object>} highlights - [{ id, start, end, quote, color, note }]
+         */
+        setHighlights(highlights) {
+            if (this.renderer) {
+                this.renderer.setHighlights(highlights);
+            }
+        }
+
+        /**
+         * Mark search matches in the loaded content
+         * Like highlights, they are re-applied whenever the content is re-rendered
+         * @param {Array<Object>} matches - [{ start, end, current }] (word ranges, inclusive)
+         */
+        setSearchMatches(matches) {
+            if (this.renderer) {
+                this.renderer.setSearchMatches(matches);
+            }
+        }
+
+        /**
+         * Jump back to the start of the current sentence
+         * (or the previous one, if already at the start)
+         */
+        jumpBackSentence() {
+            if (!this._isTimedMode() || !this.wordIndexManager) return;
+            
+            const from = Math.floor(this.state.flow.currentWordIndex);
+            let target = this._findBoundaryBefore(from, 'sentence', 1);
+            if (from - target < 2) {
+                target = this._findBoundaryBefore(from, 'sentence', 2);
             }
+            this._jumpToWord(target);
         }
 
         // ========================================
@@ -442,6 +646,7 @@
                 playing: this.state.flow.playing,
                 // STEP 9F: Read from StateManager
                 speed: this.stateManager ? this.stateManager.get('flow.speed') : 400,
+                maxSpeed: this.getMaxSpeed(),
                 currentWordIndex: this.state.flow.currentWordIndex,
                 totalWords: this.wordIndexManager?.getTotalWords() || 0,
                 focusWidth: this.stateManager ? this.stateManager.get('flow.focusWidth') : 2,
@@ -473,6 +678,7 @@
             
             if (this.el?.content) {
                 this.el.content.removeEventListener('click', this._wordClickHandler);
+                this.el.rsvp?.removeEventListener('click', this._rsvpClickHandler);
                 this.el.content.removeEventListener('touchstart', this._touchStartHandler);
                 this.el.content.removeEventListener('touchmove', this._touchMoveHandler);
             }
@@ -512,11 +718,11 @@
             }
         }
 
-        _emit(event, data) {
+        _emit(event, ...args) {
             if (this.callbacks[event]) {
                 this.callbacks[event].forEach(cb => {
                     try {
-                        cb(data);
+                        cb(...args);
                     } catch (error) {
                         console.error(`Error in ${event} callback:`, error);
                     }
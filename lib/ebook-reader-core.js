@@ -67,6 +67,38 @@ const THEMES = window.THEMES || {};
 
 const LINE_BREAK_THRESHOLD = 5; // pixels
 
+// Reader limits and tuning (copied into each reader as this.config;
+// SettingsSchema derives its ranges from here)
+const READER_CONFIG = {
+    fontSize: { min: 12, default: 18, max: 48 },
+    speed: { min: 100, default: 400, max: 650, rsvpMax: 1000 },
+    newlinePause: 1.5,
+    // Pause multipliers (in average-word durations) per boundary kind
+    pauses: {
+        newline: 1.5,
+        clause: 0.5,
+        sentence: 1.5,
+        paragraph: 3
+    },
+    rewind: {
+        minPauseMs: 2000,   // Shorter pauses resume in place
+        growthMs: 60000,    // Each minute paused adds a rewind step
+        maxSteps: 5
+    },
+    scroll: {
+        timeout: 1500,
+        gap: 0.1,
+        comfortZoneTop: 0.15,
+        comfortZoneBottom: 0.70
+    }
+};
+
+// Block elements that start a new paragraph for pause detection
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, figcaption, pre, td, th, div';
+const HEADING_TAGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+const CLAUSE_END = /[,;:—–]["'”’)\]]*$/;
+
 // ============================================================================
 // WORD INDEX MANAGER (with IntersectionObserver)
 // ============================================================================
@@ -79,6 +111,12 @@ class WordIndexManager {
         this.visibleIndices = new Set();
         this.observer = null;
         this.observerEnabled = false;
+        
+        // Phrase chunks (built lazily from words, reset on rebuild)
+        this.chunker = null;
+        this.chunks = null;
+        this.chunkOf = null;
+        this._chunkWidth = 0;
     }
 
     setupObserver(readerElement) {
@@ -135,6 +173,8 @@ class WordIndexManager {
     rebuild() {
         try {
             this.words = [];
+            this.chunks = null;
+            this.chunkOf = null;
             
             const wordElements = this.wordNodes || document.querySelectorAll('.flow-word');
             
@@ -149,9 +189,27 @@ class WordIndexManager {
             });
 
             let prevTop = -1;
+            let prevBlock = null;
+            let prevText = '';
             wordElements.forEach((el, idx) => {
                 const rect = rects[idx];
                 const isNewline = prevTop !== -1 && rect.top > prevTop + LINE_BREAK_THRESHOLD;
+                const text = el.textContent;
+                const block = el.parentElement ? el.parentElement.closest(BLOCK_SELECTOR) : null;
+                
+                // Pause kind applies *before* this word, like the newline pause
+                let pauseKind = null;
+                if (idx > 0) {
+                    if (block !== prevBlock) {
+                        pauseKind = 'paragraph';
+                    } else if (SENTENCE_END.test(prevText)) {
+                        pauseKind = 'sentence';
+                    } else if (CLAUSE_END.test(prevText)) {
+                        pauseKind = 'clause';
+                    } else if (isNewline) {
+                        pauseKind = 'newline';
+                    }
+                }
                 
                 this.words.push({
                     el,
@@ -164,11 +222,15 @@ class WordIndexManager {
                         height: rect.height
                     },
                     isNewline,
-                    text: el.textContent,
+                    pauseKind,
+                    isHeading: !!block && HEADING_TAGS.includes(block.tagName),
+                    text,
                     index: idx
                 });
                 
                 prevTop = rect.top;
+                prevBlock = block;
+                prevText = text;
             });
             
             this.dirty = false;
@@ -187,7 +249,7 @@ class WordIndexManager {
         return this.words[idx] || null;
     }
 
-    getActiveRange(centerIndex, focusWidth) {
+    getActiveRange(centerIndex, focusWidth, chunking = 'fixed') {
         if (typeof centerIndex !== 'number' || isNaN(centerIndex)) {
             throw new TypeError('Center index must be a valid number');
         }
@@ -197,6 +259,10 @@ class WordIndexManager {
         
         if (this.dirty) this.rebuild();
         
+        if (chunking === 'phrase') {
+            return this.getChunk(centerIndex, focusWidth);
+        }
+        
         const centerIdx = Math.floor(centerIndex);
         const centerWord = this.words[centerIdx];
         
@@ -221,6 +287,37 @@ class WordIndexManager {
         return { start, end };
     }
 
+    /**
+     * Get the phrase chunk containing a word
+     * @param {number} index - Word index
+     * @param {number} maxContentWords - Content words per chunk (focus width)
+     * @returns {Object} {start, end}
+     */
+    getChunk(index, maxContentWords) {
+        if (this.dirty) this.rebuild();
+        
+        const idx = Math.floor(index);
+        if (!this.words[idx]) return { start: 0, end: 0 };
+        
+        if (!this.chunks || this._chunkWidth !== maxContentWords) {
+            if (!this.chunker) {
+                this.chunker = new window.PhraseChunker();
+            }
+            this.chunks = this.chunker.chunk(this.words, maxContentWords);
+            this._chunkWidth = maxContentWords;
+            
+            this.chunkOf = new Array(this.words.length);
+            this.chunks.forEach((chunk, c) => {
+                for (let i = chunk.start; i <= chunk.end; i++) {
+                    this.chunkOf[i] = c;
+                }
+            });
+        }
+        
+        const chunk = this.chunks[this.chunkOf[idx]];
+        return { start: chunk.start, end: chunk.end };
+    }
+
     getTotalWords() {
         if (this.dirty) this.rebuild();
         return this.words.length;
@@ -261,6 +358,7 @@ window.EBookReaderCore = {
     FONTS,
     THEMES,
     LINE_BREAK_THRESHOLD,
+    READER_CONFIG,
     WordIndexManager,
     // FontLoader removed in Step 18B - use FontService.js instead
     EBookReaderError,
@@ -47,6 +47,15 @@
             return Math.hypot(t2.clientX - t1.clientX, t2.clientY - t1.clientY);
         }
 
+        /**
+         * Check if a mode is driven by the Animator ('flow' or 'rsvp')
+         * @param {string} mode - Reader mode (defaults to the current mode)
+         * @returns {boolean}
+         */
+        _isTimedMode(mode = this.state.mode) {
+            return mode === 'flow' || mode === 'rsvp';
+        }
+
         // ========================================
         // PRIVATE METHODS - THEME
         // ========================================
@@ -67,6 +76,9 @@
             const html = `
                <div class="ebook-reader-area">
                    <div class="ebook-focus-indicator"></div>
+                   <div class="ebook-rsvp-display">
+                       <div class="ebook-rsvp-word"></div>
+                   </div>
                    <div class="ebook-text-content"></div>
                </div>
            `;
@@ -77,7 +89,9 @@
                root: this.container,
                reader: this.container.querySelector('.ebook-reader-area'),
                content: this.container.querySelector('.ebook-text-content'),
-               focus: this.container.querySelector('.ebook-focus-indicator')
+               focus: this.container.querySelector('.ebook-focus-indicator'),
+               rsvp: this.container.querySelector('.ebook-rsvp-display'),
+               rsvpWord: this.container.querySelector('.ebook-rsvp-word')
            };
            
            // STEP 16F: Initialize Renderer module
@@ -96,6 +110,7 @@
             this.el.reader.addEventListener('scroll', this._scrollHandler);
 
             this.el.content.addEventListener('click', this._wordClickHandler);
+            this.el.rsvp.addEventListener('click', this._rsvpClickHandler);
 
             window.addEventListener('resize', this._resizeHandler);
         }
@@ -113,6 +128,20 @@
             const now = Date.now();
             const wordEl = e.target.closest('.flow-word');
             
+            // In normal mode, selecting text or tapping a highlight must not start flow
+            if (state.mode === 'normal') {
+                if (this._hasTextSelection()) return;
+                
+                if (wordEl && wordEl.dataset.highlightId) {
+                    this._emit('onHighlightClick', {
+                        id: wordEl.dataset.highlightId,
+                        wordIndex: parseInt(wordEl.dataset.wordIndex),
+                        rect: wordEl.getBoundingClientRect()
+                    });
+                    return;
+                }
+            }
+            
             if (wordEl) {
                 const idx = parseInt(wordEl.dataset.wordIndex);
                 
@@ -129,7 +158,7 @@
                     // Jump to word and keep playing state
                     if (!isNaN(idx)) {
                         const wasPlaying = this.state.flow.playing;
-                        this._jumpToWord(idx);
+                        this._jumpToWord(idx, 'doubleTap');
                         
                         // If it was paused, start playing from new position
                         if (!wasPlaying) {
@@ -155,6 +184,9 @@
                 setTimeout(() => {
                     // Only execute single-tap if no second tap came within 300ms
                     if (this._lastTapTime === now && this._lastTapWordIndex === idx) {
+                        // A double-click in normal mode selects a word instead
+                        if (state.mode === 'normal' && this._hasTextSelection()) return;
+                        
                         // Prevent text selection in flow mode
                         if (state.mode === 'flow') {
                             e.preventDefault();
@@ -197,6 +229,19 @@
             }
         }
 
+        _hasTextSelection() {
+            const selection = window.getSelection ? window.getSelection() : null;
+            return !!(selection && !selection.isCollapsed && selection.toString().trim());
+        }
+
+        _handleRSVPClick(e) {
+            if (this._destroyed || this.state.mode !== 'rsvp') return;
+            
+            // The text is hidden in RSVP, so a tap pauses/resumes instead of leaving the mode
+            e.preventDefault();
+            this._togglePlay();
+        }
+
         // ========================================
         // PRIVATE METHODS - RENDERING
         // ========================================
@@ -205,7 +250,7 @@
             // STEP 16F: Delegate to Renderer
             if (this.renderer) {
                 this.renderer.updateStyles(() => {
-                    if (this.state.mode === 'flow' && this.wordIndexManager) {
+                    if (this._isTimedMode() && this.wordIndexManager) {
                         this.wordIndexManager.invalidate();
                         requestAnimationFrame(() => {
                             if (!this._destroyed && this.wordIndexManager) {
@@ -217,7 +262,12 @@
             }
         }
 
-        async _render() {
+        /**
+         * Render the current content for the current mode
+         * @param {Object} [options]
+         * @param {boolean} [options.immediate] - Skip the fade and index the words synchronously
+         */
+        async _render(options = {}) {
             if (this._destroyed || !this.el || !this.el.content) return;
             
             if (this.wordIndexManager) {
@@ -226,7 +276,9 @@
             
             // STEP 16F: Delegate to Renderer
             const bionic = this.stateManager ? this.stateManager.get('bionic') : false;
-            await this.renderer.renderContent(this.state.content, this.state.mode, bionic);
+            await this.renderer.renderContent(this.state.content, this.state.mode, bionic, {
+                transition: !options.immediate
+            });
             
             // Note: currentWordIndex reset is now handled synchronously in loadContent()
             // to prevent race conditions with play() being called before render completes
@@ -235,8 +287,8 @@
                 this.wordIndexManager.invalidate();
             }
 
-            if (this.state.mode === 'flow') {
-                setTimeout(() => {
+            if (this._isTimedMode()) {
+                const indexWords = () => {
                     if (this._destroyed || !this.el || !this.el.content || !this.wordIndexManager) return;
                     
                     const wordNodes = this.el.content.querySelectorAll('.flow-word');
@@ -248,7 +300,15 @@
                     this._initialVisibilityCheck(wordNodes);
                     
                     this.wordIndexManager.rebuild();
-                }, 50);
+                };
+                
+                if (options.immediate) {
+                    indexWords();
+                } else {
+                    // Resolve only once words are indexed, so callers can position right after
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    indexWords();
+                }
             }
         }
 
@@ -279,6 +339,12 @@
             // STEP 16F: Delegate to Renderer
             if (this._destroyed || !this.wordIndexManager || !this.renderer) return;
             
+            if (this.state.mode === 'rsvp') {
+                const bionic = this.stateManager ? this.stateManager.get('bionic') : false;
+                this.renderer.updateRSVP(centerIndex, this.wordIndexManager, bionic);
+                return;
+            }
+            
             const allWords = this.wordIndexManager.wordNodes || this.el.content.querySelectorAll('.flow-word');
             const visibleIndices = this.wordIndexManager.observerEnabled 
                 ? this.wordIndexManager.visibleIndices 
@@ -289,7 +355,7 @@
 
         _scrollToWordIfNeeded(wordIndex) {
             if (this._destroyed || !this.wordIndexManager || this.state.flow.userScroll) return;
-            if (!this.el || !this.el.reader) return;
+            if (!this.el || !this.el.reader || this.state.mode === 'rsvp') return;
 
             const currentIdx = Math.floor(wordIndex);
             const nextIdx = currentIdx + 1;
@@ -344,6 +410,9 @@
             
             const totalWords = this.wordIndexManager.getTotalWords();
             
+            // Weigh each word by length, syllables and punctuation
+            this.animator.setTimeline(this.wordIndexManager.words);
+            
             this.animator.start(
                 this.state.flow.currentWordIndex,
                 // onTick callback
@@ -370,15 +439,16 @@
                     this._scrollToWordIfNeeded(wordIndex);
                     this._updateWordStates(wordIndex);
                     
-                    // Check for newline pause
+                    // Check for a boundary pause (newline, clause, sentence, paragraph)
                     const currentWordIdx = Math.floor(wordIndex);
                     const currentWord = this.wordIndexManager.getWord(currentWordIdx);
+                    const pause = this._getPauseMultiplier(currentWord);
                     
                     // Check Animator's state, not engine's state
-                    if (currentWord && currentWord.isNewline && 
+                    if (pause > 0 && 
                         this.animator.pauseUntil === 0 && 
                         this.animator.lastPausedWord !== currentWordIdx) {
-                        return { pauseAtNewline: true };
+                        return { pause };
                     }
                     
                     return {};
@@ -386,12 +456,33 @@
                 // onComplete callback
                 () => {
                     this.state.flow.playing = false;
-                    this._emit('onPlayChange', false);
+                    this._emit('onPlayChange', false, 'chapter');
                 }
             );
         }
 
-        _togglePlay() {
+        /**
+         * Get the pause multiplier that applies before a word
+         * Reads user multipliers from StateManager (flow.<kind>Pause)
+         * @param {Object|null} word - Word from WordIndexManager
+         * @returns {number} Multiplier in average-word durations (0 = no pause)
+         */
+        _getPauseMultiplier(word) {
+            if (!word || !word.pauseKind) return 0;
+            
+            const kind = word.pauseKind;
+            const stored = this.stateManager ? this.stateManager.get(`flow.${kind}Pause`) : undefined;
+            const multiplier = typeof stored === 'number' ? stored : this.config.pauses[kind];
+            
+            return multiplier > 0 ? multiplier : 0;
+        }
+
+        /**
+         * Pause or resume flow/RSVP
+         * @param {string} [source] - Why, passed on in onPlayChange: 'user', or 'render',
+         *   'chapter' and 'note' for pauses/resumes the reader didn't ask for
+         */
+        _togglePlay(source = 'user') {
             if (this._destroyed || !this.wordIndexManager) return;
             
             if (this.state.flow.playing) {
@@ -410,6 +501,7 @@
                 }
                 
                 this.state.flow.playing = false;
+                this.state.flow.pausedAt = performance.now();
             } else {
                 // --- PLAY LOGIC (REVISED) ---
                 this.wordIndexManager.rebuild();
@@ -436,7 +528,7 @@
                         
                         // This "play" session is over.
                         this.state.flow.playing = false; 
-                        this._emit('onPlayChange', false); // Update UI
+                        this._emit('onPlayChange', false, 'chapter'); // Update UI
 
                     }, 2000); // 2-second pause for the image
                     
@@ -445,6 +537,9 @@
                 } else {
                     // --- NORMAL PLAY LOGIC (Text Chapter) ---
                     
+                    // Step back a little so the reader regains context
+                    this._applyResumeRewind();
+                    
                     // This logic correctly sets up the animator
                     const speed = this.stateManager ? this.stateManager.get('flow.speed') : 400;
                     const wordsPerSecond = speed / 60;
@@ -459,16 +554,86 @@
             }
             
             // Emit the final state
-            this._emit('onPlayChange', this.state.flow.playing);
+            this._emit('onPlayChange', this.state.flow.playing, source);
+        }
+
+        /**
+         * Rewind currentWordIndex on resume, based on how long flow was paused
+         * Short pauses (and the internal pause/resume of re-renders) don't rewind;
+         * every config.rewind.growthMs of pause adds one more step back
+         */
+        _applyResumeRewind() {
+            const pausedAt = this.state.flow.pausedAt;
+            this.state.flow.pausedAt = null;
+            
+            const mode = this.stateManager ? this.stateManager.get('flow.rewindMode') : 'off';
+            if (!pausedAt || !mode || mode === 'off' || !this.wordIndexManager) return;
+            
+            const pausedMs = performance.now() - pausedAt;
+            if (pausedMs < this.config.rewind.minPauseMs) return;
+            
+            const steps = Math.min(
+                this.config.rewind.maxSteps,
+                1 + Math.floor(pausedMs / this.config.rewind.growthMs)
+            );
+            const from = Math.floor(this.state.flow.currentWordIndex);
+            let target = from;
+            
+            if (mode === 'words') {
+                const perStep = this.stateManager ? (this.stateManager.get('flow.rewindWords') || 5) : 5;
+                target = from - perStep * steps;
+            } else {
+                target = this._findBoundaryBefore(from, mode, steps);
+            }
+            
+            target = Math.max(0, target);
+            if (target < from) {
+                console.log(`⏪ Rewinding ${from - target} words after ${Math.round(pausedMs / 1000)}s pause`);
+                this.state.flow.currentWordIndex = target;
+                this._updateWordStates(target);
+            }
         }
 
-        _jumpToWord(idx) {
+        /**
+         * Walk back to the start of the current sentence/line, then one more per extra step
+         * @param {number} from - Word index to start from
+         * @param {string} kind - 'sentence' or 'line'
+         * @param {number} steps - 1 = start of current, 2 = start of previous, ...
+         * @returns {number} Word index
+         */
+        _findBoundaryBefore(from, kind, steps = 1) {
+            const isStart = word => word.pauseKind === 'paragraph' ||
+                (kind === 'sentence' ? word.pauseKind === 'sentence' : word.isNewline);
+            let target = from;
+            
+            for (let step = 0; step < steps && target > 0; step++) {
+                if (step > 0) target--;
+                while (target > 0) {
+                    const word = this.wordIndexManager.getWord(target);
+                    if (word && isStart(word)) break;
+                    target--;
+                }
+            }
+            return Math.max(0, target);
+        }
+
+        /**
+         * Move flow to a word
+         * @param {number} idx - Word index
+         * @param {string} [source] - What asked for the jump ('doubleTap' from a tap, else 'api'),
+         *   passed on in onWordJump
+         */
+        _jumpToWord(idx, source = 'api') {
             if (this._destroyed || !this.wordIndexManager) return;
             
+            const from = Math.floor(this.state.flow.currentWordIndex);
+            
+            // The reader chose this spot - don't rewind from it on resume
+            this.state.flow.pausedAt = null;
             this.state.flow.currentWordIndex = idx;
             
             const word = this.wordIndexManager.getWord(idx);
-            if (word && this.el && this.el.reader) {
+            if (word && this.el && this.el.reader && this.state.mode !== 'rsvp') {
                 const rr = this.el.reader.getBoundingClientRect();
                 const vhh = rr.height;
                 // STEP 9F: Read from StateManager
@@ -497,6 +662,8 @@
                 this._updateWordStates(idx);
                 // --- END OF FIX ---
             }
+            
+            this._emit('onWordJump', { from, to: idx, playing: this.state.flow.playing, source });
         }
 
         _setMode(mode, preserve = false) {
@@ -504,7 +671,7 @@
             
             const wasPlaying = this.state.flow.playing;
             
-            if (this.state.mode === 'flow' && mode !== 'flow') {
+            if (this._isTimedMode() && mode !== this.state.mode) {
                 this.state.saved = {
                     wordIndex: this.state.flow.currentWordIndex,
                     playing: wasPlaying
@@ -513,20 +680,26 @@
 
             this.state.mode = mode;
             
-            // Add/remove flow-mode class to prevent text selection
+            // Add/remove mode classes (flow prevents text selection, RSVP hides the page)
             if (this.el && this.el.content) {
-                if (mode === 'flow') {
-                    this.el.content.classList.add('flow-mode');
-                } else {
-                    this.el.content.classList.remove('flow-mode');
-                }
+                this.el.content.classList.toggle('flow-mode', mode === 'flow');
+                this.el.content.classList.toggle('rsvp-mode', mode === 'rsvp');
+            }
+            if (this.el && this.el.reader) {
+                this.el.reader.classList.toggle('rsvp-active', mode === 'rsvp');
+            }
+            
+            // Flow mode can't sustain RSVP speeds - clamp back down on exit
+            if (mode !== 'rsvp' && this.stateManager &&
+                this.stateManager.get('flow.speed') > this.config.speed.max) {
+                this.stateManager.set('flow.speed', this.config.speed.max);
             }
             
-            if (this.state.flow.playing) this._togglePlay();
+            if (this.state.flow.playing) this._togglePlay('render');
 
             this._render();
 
-            if (mode === 'flow' && this.state.saved && preserve) {
+            if (this._isTimedMode(mode) && this.state.saved && preserve) {
                 setTimeout(() => {
                     if (this._destroyed || !this.wordIndexManager) return;
                     
@@ -534,11 +707,11 @@
                     this._updateWordStates(this.state.flow.currentWordIndex);
                     if (this.state.saved.playing) {
                         setTimeout(() => {
-                            if (!this._destroyed && this.wordIndexManager) this._togglePlay();
+                            if (!this._destroyed && this.wordIndexManager) this._togglePlay('render');
                         }, 100);
                     }
                 }, 100);
-            } else if (mode === 'flow') {
+            } else if (this._isTimedMode(mode)) {
                 setTimeout(() => {
                     if (!this._destroyed && this.wordIndexManager) {
                         this._updateWordStates(this.state.flow.currentWordIndex);
@@ -559,11 +732,11 @@
             const wasPlaying = this.state.flow.playing;
             const savedIdx = this.state.flow.currentWordIndex;
             
-            if (wasPlaying) this._togglePlay();
+            if (wasPlaying) this._togglePlay('render');
             
             this._render();
             
-            if (this.state.mode === 'flow') {
+            if (this._isTimedMode()) {
                 setTimeout(() => {
                     if (this._destroyed || !this.wordIndexManager) return;
                     
@@ -571,7 +744,7 @@
                     this._updateWordStates(savedIdx);
                     if (wasPlaying) {
                         setTimeout(() => {
-                            if (!this._destroyed && this.wordIndexManager) this._togglePlay();
+                            if (!this._destroyed && this.wordIndexManager) this._togglePlay('render');
                         }, 100);
                     }
                 }, 100);
@@ -23,6 +23,10 @@ class Animator {
         this.pauseUntil = 0;
         this.lastPausedWord = -1;
         
+        // Per-word pacing (null = constant WPM)
+        this.pacing = new PacingModel(this.config.pacing);
+        this.timeline = null;
+        
         // Callbacks
         this.onTick = null;
         this.onComplete = null;
@@ -49,13 +53,25 @@ class Animator {
         
         const speed = this.stateManager ? this.stateManager.get('flow.speed') : 400;
         const wordsPerSecond = speed / 60;
-        this.startTime = performance.now() - (fromIndex / wordsPerSecond) * 1000;
+        this.startTime = performance.now() - (this._unitsAt(fromIndex) / wordsPerSecond) * 1000;
         this.pauseUntil = 0;
         this.lastPausedWord = -1;
         
         this._animate();
     }
 
+    /**
+     * Build the per-word timeline for the current chapter
+     * Falls back to constant WPM when variable pacing is disabled
+     * @param {Array<Object>} words - Word objects from WordIndexManager (with text)
+     */
+    setTimeline(words) {
+        const enabled = this.stateManager ? this.stateManager.get('flow.variablePacing') !== false : true;
+        this.timeline = enabled && words && words.length
+            ? this.pacing.buildTimeline(words)
+            : null;
+    }
+
     /**
      * Stop animation loop
      */
@@ -93,7 +109,7 @@ class Animator {
         if (this.playing) {
             const speed = this.stateManager ? this.stateManager.get('flow.speed') : 400;
             const wordsPerSecond = speed / 60;
-            this.startTime = performance.now() - (index / wordsPerSecond) * 1000;
+            this.startTime = performance.now() - (this._unitsAt(index) / wordsPerSecond) * 1000;
             this.pauseUntil = 0;
             this.lastPausedWord = -1;
         }
@@ -140,7 +156,7 @@ class Animator {
                 }
                 
                 const speed = this.stateManager ? this.stateManager.get('flow.speed') : 400;
-                this.startTime = t - (this.currentWordIndex / (speed / 60)) * 1000;
+                this.startTime = t - (this._unitsAt(this.currentWordIndex) / (speed / 60)) * 1000;
                 this.pauseUntil = 0;
             }
 
@@ -148,7 +164,7 @@ class Animator {
             const elapsed = t - this.startTime;
             const speed = this.stateManager ? this.stateManager.get('flow.speed') : 400;
             const wordsPerSecond = speed / 60;
-            const wordIndex = (elapsed / 1000) * wordsPerSecond;
+            const wordIndex = this._indexAt((elapsed / 1000) * wordsPerSecond);
 
             this.currentWordIndex = wordIndex;
 
@@ -158,9 +174,11 @@ class Animator {
                 const result = this.onTick(wordIndex, t);
                 console.log('🎯 onTick returned:', result);
                 
-                // Check if tick wants to pause at newline
-                if (result && result.pauseAtNewline) {
-                    const pauseDuration = (60000 / speed) * this.config.newlinePause;
+                // Check if tick wants to pause (result.pause is a multiplier,
+                // pauseAtNewline is kept for callers that predate it)
+                if (result && (result.pause || result.pauseAtNewline)) {
+                    const multiplier = result.pause || this.config.newlinePause;
+                    const pauseDuration = (60000 / speed) * multiplier;
                     this.pauseUntil = t + pauseDuration;
                     this.lastPausedWord = Math.floor(wordIndex);
                 }
@@ -181,6 +199,52 @@ class Animator {
         this.rafId = requestAnimationFrame(frame);
     }
 
+    // ========================================
+    // PRIVATE - TIMELINE
+    // ========================================
+
+    /**
+     * Convert a (fractional) word index to timeline units
+     * One unit is the duration of an average word at the current WPM
+     * @private
+     */
+    _unitsAt(index) {
+        if (!this.timeline) return index;
+        
+        const { weights, offsets, total } = this.timeline;
+        const idx = Math.floor(index);
+        if (idx < 0) return index;
+        if (idx >= weights.length) return total + (index - weights.length);
+        
+        return offsets[idx] + (index - idx) * weights[idx];
+    }
+
+    /**
+     * Convert timeline units back to a (fractional) word index
+     * @private
+     */
+    _indexAt(units) {
+        if (!this.timeline) return units;
+        
+        const { weights, offsets, total } = this.timeline;
+        if (units <= 0) return units;
+        if (units >= total) return weights.length + (units - total);
+        
+        // Binary search for the word whose span contains `units`
+        let lo = 0;
+        let hi = weights.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (offsets[mid] <= units) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        
+        return lo + (units - offsets[lo]) / weights[lo];
+    }
+
     // ========================================
     // CLEANUP
     // ========================================
@@ -193,6 +257,7 @@ class Animator {
         this._destroyed = true;
         this.onTick = null;
         this.onComplete = null;
+        this.timeline = null;
         this.stateManager = null;
     }
 }
@@ -0,0 +1,110 @@
+/**
+ * PacingModel Module v1.0.0
+ * Builds a per-word reading timeline for flow mode
+ *
+ * Each word gets a weight from its length, syllable count and trailing
+ * punctuation. Weights are normalized so their mean is 1, which keeps the
+ * configured WPM as the average speed across the chapter.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class PacingModel {
+    constructor(config = {}) {
+        this.config = {
+            baseWeight: 0.6,          // Share of every word's time that is fixed
+            lengthWeight: 0.04,       // Extra weight per character
+            syllableWeight: 0.12,     // Extra weight per syllable
+            clausePunctuation: 0.2,   // Extra weight for , ; :
+            sentencePunctuation: 0.4, // Extra weight for . ! ?
+            minWeight: 0.5,
+            maxWeight: 2.5,
+            ...config
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Build a timeline from a word list
+     * @param {Array<Object|string>} words - Word objects (with text) or strings
+     * @returns {Object} { weights, offsets, total }
+     */
+    buildTimeline(words) {
+        const raw = (words || []).map(word => {
+            const text = typeof word === 'string' ? word : (word?.text || '');
+            return this.weigh(text);
+        });
+
+        const sum = raw.reduce((acc, w) => acc + w, 0);
+        const mean = raw.length ? sum / raw.length : 1;
+
+        const weights = raw.map(w => w / mean);
+        const offsets = new Array(weights.length + 1);
+        offsets[0] = 0;
+        for (let i = 0; i < weights.length; i++) {
+            offsets[i + 1] = offsets[i] + weights[i];
+        }
+
+        return {
+            weights,
+            offsets,
+            total: offsets[weights.length]
+        };
+    }
+
+    /**
+     * Get the raw (un-normalized) weight of a single word
+     * @param {string} text - Word text
+     * @returns {number}
+     */
+    weigh(text) {
+        const word = (text || '').trim();
+        if (!word) return this.config.minWeight;
+
+        const letters = word.replace(/[^\p{L}\p{N}]/gu, '');
+        const syllables = this.countSyllables(letters);
+
+        let weight = this.config.baseWeight +
+            letters.length * this.config.lengthWeight +
+            syllables * this.config.syllableWeight;
+
+        if (/[.!?…]["'”’)\]]*$/.test(word)) {
+            weight += this.config.sentencePunctuation;
+        } else if (/[,;:—–]["'”’)\]]*$/.test(word)) {
+            weight += this.config.clausePunctuation;
+        }
+
+        return Math.max(this.config.minWeight, Math.min(this.config.maxWeight, weight));
+    }
+
+    /**
+     * Estimate syllables with a vowel-group heuristic
+     * @param {string} word - Letters only
+     * @returns {number}
+     */
+    countSyllables(word) {
+        const lower = (word || '').toLowerCase();
+        if (!lower) return 0;
+        if (/\d/.test(lower)) return Math.max(1, Math.ceil(lower.length / 2));
+        if (lower.length <= 3) return 1;
+
+        const trimmed = lower
+            .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+            .replace(/^y/, '');
+        const groups = trimmed.match(/[aeiouyàâäéèêëîïôöûüœæ]{1,2}/g);
+
+        return Math.max(1, groups ? groups.length : 1);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PacingModel;
+}
+if (typeof window !== 'undefined') {
+    window.PacingModel = PacingModel;
+}
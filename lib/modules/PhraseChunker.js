@@ -0,0 +1,125 @@
+/**
+ * PhraseChunker Module v1.0.0
+ * Groups words into phrase-sized chunks for the flow focus window
+ *
+ * Chunks end at punctuation, paragraphs and line wraps, start a new group
+ * at prepositions and conjunctions, and keep short function words joined
+ * to the content word that follows them.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class PhraseChunker {
+    constructor(config = {}) {
+        this.config = {
+            prepositions: [
+                'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around', 'at',
+                'before', 'behind', 'below', 'beneath', 'beside', 'between', 'beyond', 'by',
+                'despite', 'down', 'during', 'except', 'for', 'from', 'in', 'inside', 'into',
+                'like', 'near', 'of', 'off', 'on', 'onto', 'out', 'outside', 'over', 'past',
+                'since', 'through', 'throughout', 'to', 'toward', 'towards', 'under', 'until',
+                'up', 'upon', 'via', 'with', 'within', 'without'
+            ],
+            conjunctions: [
+                'and', 'or', 'but', 'nor', 'yet', 'so', 'because', 'although', 'though',
+                'while', 'whereas', 'unless', 'if', 'when', 'whenever', 'where', 'than', 'as'
+            ],
+            functionWords: [
+                'a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this',
+                'that', 'these', 'those', 'some', 'any', 'no', 'each', 'every', 'all', 'both',
+                'is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had',
+                'do', 'does', 'did', 'will', 'would', 'can', 'could', 'shall', 'should', 'may',
+                'might', 'must', 'not', 'very', 'too', 'i', 'we', 'you', 'he', 'she', 'it', 'they'
+            ],
+            ...config
+        };
+
+        this._prepositions = new Set(this.config.prepositions);
+        this._conjunctions = new Set(this.config.conjunctions);
+        this._functionWords = new Set([
+            ...this.config.functionWords,
+            ...this.config.prepositions,
+            ...this.config.conjunctions
+        ]);
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Split a word list into phrase chunks
+     * @param {Array<Object>} words - Words from WordIndexManager.rebuild()
+     * @param {number} maxContentWords - Max content words per chunk (function words are free)
+     * @returns {Array<Object>} Chunks as {start, end} (inclusive), covering every word
+     */
+    chunk(words, maxContentWords = 2) {
+        const chunks = [];
+        if (!words || words.length === 0) return chunks;
+
+        const limit = Math.max(1, maxContentWords);
+        let start = 0;
+        let contentCount = 0;
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const key = this._normalize(word.text);
+            const isFunction = this._functionWords.has(key);
+
+            // Start a new chunk before line wraps, paragraphs and phrase openers
+            if (i > start && (
+                word.isNewline ||
+                word.pauseKind === 'paragraph' ||
+                (contentCount > 0 && (this._prepositions.has(key) || this._conjunctions.has(key)))
+            )) {
+                chunks.push({ start, end: i - 1 });
+                start = i;
+                contentCount = 0;
+            }
+
+            if (!isFunction) contentCount++;
+
+            // End the chunk after punctuation, or once it holds enough content words
+            // (never right after a function word - it belongs to what follows)
+            const isLast = i === words.length - 1;
+            if (isLast || /[.!?…,;:—–]["'”’)\]]*$/.test(word.text.trim()) ||
+                (!isFunction && contentCount >= limit)) {
+                chunks.push({ start, end: i });
+                start = i + 1;
+                contentCount = 0;
+            }
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Check if a word is a function word (article, preposition, auxiliary...)
+     * @param {string} text - Word text
+     * @returns {boolean}
+     */
+    isFunctionWord(text) {
+        return this._functionWords.has(this._normalize(text));
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Lowercase and strip surrounding punctuation
+     * @private
+     */
+    _normalize(text) {
+        return (text || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhraseChunker;
+}
+if (typeof window !== 'undefined') {
+    window.PhraseChunker = PhraseChunker;
+}
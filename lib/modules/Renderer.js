@@ -13,6 +13,10 @@ class Renderer {
         this.el = elements; // { root, reader, content, focus, dragZoneL, dragZoneR }
         this.stateManager = stateManager;
         this._pendingStyleUpdate = null;
+        this._rsvpKey = null;
+        this._prepared = null; // { source, key, html } from prepare()
+        this._highlights = []; // [{ id, start, end, quote, color, note }] for the current content
+        this._searchMatches = []; // [{ start, end, current }] for the current content
         this._destroyed = false;
     }
 
@@ -44,6 +48,12 @@ class Renderer {
             this.el.content.style.fontSize = fontSize + 'px';
             this.el.content.style.lineHeight = lineHeight;
             
+            // RSVP shows one word at a time, so it gets a larger size
+            if (this.el.rsvpWord) {
+                this.el.rsvpWord.style.fontFamily = font.family;
+                this.el.rsvpWord.style.fontSize = Math.round(fontSize * 2) + 'px';
+            }
+            
             this._pendingStyleUpdate = null;
             
             if (onComplete) onComplete();
@@ -54,33 +64,63 @@ class Renderer {
     // PUBLIC API - CONTENT RENDERING
     // ========================================
 
+    /**
+     * Pre-wrap HTML for a later renderContent() call (e.g. the next chapter)
+     * Only the most recent preparation is kept
+     * @param {string} html - HTML content
+     * @param {string} mode - 'normal', 'flow' or 'rsvp'
+     * @param {boolean} bionic - Apply bionic reading
+     */
+    prepare(html, mode, bionic) {
+        if (this._destroyed) return;
+        
+        const key = this._prepareKey(mode, bionic);
+        if (this._prepared && this._prepared.source === html && this._prepared.key === key) return;
+        
+        this._prepared = {
+            source: html,
+            key,
+            html: this._process(html, mode, bionic)
+        };
+    }
+
     /**
      * Render HTML content
      * @param {string} html - HTML content to render
-     * @param {string} mode - 'normal' or 'flow'
+     * @param {string} mode - 'normal', 'flow' or 'rsvp'
      * @param {boolean} bionic - Apply bionic reading
+     * @param {Object} [options]
+     * @param {boolean} [options.transition=true] - Fade while swapping content
      * @returns {Promise} Resolves when render complete
      */
-    async renderContent(html, mode, bionic) {
+    async renderContent(html, mode, bionic, options = {}) {
         if (this._destroyed || !this.el || !this.el.content) return;
 
-        this.el.content.classList.add('transitioning');
+        const transition = options.transition !== false;
+        if (transition) {
+            this.el.content.classList.add('transitioning');
+        }
 
-        // Process HTML based on mode
-        // IMPORTANT: Always wrap words so click-to-flow works in normal mode
-        let processedHtml = html;
-        if (mode === 'flow') {
-            processedHtml = this._makeFlow(html, bionic);
+        // Reuse words wrapped ahead of time by prepare() when they match
+        let processedHtml;
+        this._rsvpKey = null;
+        const key = this._prepareKey(mode, bionic);
+        if (this._prepared && this._prepared.source === html && this._prepared.key === key) {
+            processedHtml = this._prepared.html;
+            this._prepared = null;
         } else {
-            // In normal mode: wrap words for click detection, but without flow styling
-            processedHtml = this._wrapWords(html, bionic);
+            processedHtml = this._process(html, mode, bionic);
         }
 
         // Update DOM
         this.el.content.innerHTML = processedHtml;
+        this.applyHighlights();
+        this.applySearchMatches();
         
         // Wait for transition
-        await new Promise(resolve => setTimeout(resolve, 200));
+        if (transition) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
         
         if (!this._destroyed && this.el && this.el.content) {
             this.el.content.classList.remove('transitioning');
@@ -96,6 +136,38 @@ class Renderer {
         return processedHtml;
     }
 
+    /**
+     * Wrap words for the given mode
+     * IMPORTANT: Always wrap words so click-to-flow works in normal mode
+     * @private
+     */
+    _process(html, mode, bionic) {
+        if (mode === 'flow' || mode === 'rsvp') {
+            return this._makeFlow(html, bionic);
+        }
+        // In normal mode: wrap words for click detection, but without flow styling
+        return this._wrapWords(html, bionic);
+    }
+
+    /**
+     * Cache key for prepared content (wrapping depends on mode and bionic)
+     * @private
+     */
+    _prepareKey(mode, bionic) {
+        const strength = this.stateManager ? this.stateManager.get('bionicStrength') : 0.5;
+        return `${mode === 'normal' ? 'normal' : 'flow'}|${bionic ? strength : 'off'}`;
+    }
+
+    /**
+     * Split text into the words the reader wraps (one per hyphenated part)
+     * Word indexes computed elsewhere (e.g. book search) must use this too.
+     * @param {string} text - Text of one text node
+     * @returns {Array<string>} Words
+     */
+    static splitWords(text) {
+        return (text.match(/\S+/g) || []).flatMap(word => word.match(/[^-]+-?/g) || [word]);
+    }
+
     /**
      * Get word nodes from content
      * @returns {NodeList} Flow word elements
@@ -124,7 +196,8 @@ class Renderer {
             if (this._destroyed) return;
             
             const focusWidth = this.stateManager ? this.stateManager.get('flow.focusWidth') : 2;
-            const range = wordTracker.getActiveRange(centerIndex, focusWidth);
+            const chunking = this.stateManager ? (this.stateManager.get('flow.chunking') || 'fixed') : 'fixed';
+            const range = wordTracker.getActiveRange(centerIndex, focusWidth, chunking);
             const centerIdx = Math.floor(centerIndex);
             
             // Determine which indices to update
@@ -158,6 +231,114 @@ class Renderer {
         });
     }
 
+    /**
+     * Show the current word (or chunk) in the RSVP display
+     * The optimal recognition point (ORP) letter stays at a fixed spot
+     * @param {number} centerIndex - Current word index
+     * @param {Object} wordTracker - WordTracker instance
+     * @param {boolean} bionic - Apply bionic reading
+     */
+    updateRSVP(centerIndex, wordTracker, bionic) {
+        if (this._destroyed || !wordTracker || !this.el || !this.el.rsvpWord) return;
+        
+        const chunkSize = this.stateManager ? (this.stateManager.get('flow.rsvpChunkSize') || 1) : 1;
+        const total = wordTracker.getTotalWords();
+        const idx = Math.max(0, Math.min(total - 1, Math.floor(centerIndex)));
+        const start = idx - (idx % chunkSize);
+        const end = Math.min(total - 1, start + chunkSize - 1);
+        
+        const key = `${start}:${end}:${bionic ? 1 : 0}`;
+        if (key === this._rsvpKey) return;
+        this._rsvpKey = key;
+        
+        const words = [];
+        for (let i = start; i <= end; i++) {
+            const word = wordTracker.getWord(i);
+            if (word) words.push(word.text.trim());
+        }
+        
+        this.el.rsvpWord.innerHTML = words.length ? this._formatRSVP(words, bionic) : '';
+    }
+
+    /**
+     * Get the ORP letter position within a word
+     * @param {string} word - Word text
+     * @returns {number} Character index
+     */
+    getORPIndex(word) {
+        const lead = (word.match(/^[^\p{L}\p{N}]*/u) || [''])[0].length;
+        const letters = word.slice(lead).replace(/[^\p{L}\p{N}]+$/u, '').length;
+        
+        let orp;
+        if (letters <= 1) orp = 0;
+        else if (letters <= 5) orp = 1;
+        else if (letters <= 9) orp = 2;
+        else if (letters <= 13) orp = 3;
+        else orp = 4;
+        
+        return Math.min(word.length - 1, lead + orp);
+    }
+
+    /**
+     * Build RSVP markup: left part, ORP letter, right part
+     * The ORP is taken from the longest word of the chunk
+     * @private
+     */
+    _formatRSVP(words, bionic) {
+        const strength = this.stateManager ? this.stateManager.get('bionicStrength') : 0.5;
+        const clampedStrength = Math.max(0.2, Math.min(0.7, strength));
+        
+        // Flatten the chunk into characters with a bold flag
+        const chars = [];
+        let anchor = 0;
+        let longest = -1;
+        words.forEach((word, i) => {
+            if (i > 0) chars.push({ ch: ' ', bold: false });
+            
+            const offset = chars.length;
+            const match = word.match(/\w{3,}/);
+            const boldStart = match ? match.index : 0;
+            const boldEnd = bionic && match ? boldStart + Math.ceil(match[0].length * clampedStrength) : 0;
+            
+            [...word].forEach((ch, j) => {
+                chars.push({ ch, bold: j >= boldStart && j < boldEnd });
+            });
+            
+            if (word.length > longest) {
+                longest = word.length;
+                anchor = offset + this.getORPIndex(word);
+            }
+        });
+        
+        const left = this._serializeRSVP(chars.slice(0, anchor));
+        const orp = this._serializeRSVP(chars.slice(anchor, anchor + 1));
+        const right = this._serializeRSVP(chars.slice(anchor + 1));
+        
+        return `<span class="rsvp-left">${left}</span>` +
+            `<span class="rsvp-orp">${orp}</span>` +
+            `<span class="rsvp-right">${right}</span>`;
+    }
+
+    /**
+     * Serialize characters, grouping bold runs into bionic spans
+     * @private
+     */
+    _serializeRSVP(chars) {
+        const escape = ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch] || ch);
+        let html = '';
+        let inBold = false;
+        
+        chars.forEach(({ ch, bold }) => {
+            if (bold && !inBold) html += '<span class="bionic">';
+            if (!bold && inBold) html += '</span>';
+            inBold = bold;
+            html += escape(ch);
+        });
+        if (inBold) html += '</span>';
+        
+        return html;
+    }
+
     /**
      * Update focus indicator position
      * @private
@@ -273,7 +454,7 @@ class Renderer {
 
         let wordIndex = 0;
         const wrap = text => text.replace(/(\S+)/g, word => {
-            const parts = word.match(/[^-]+-?/g) || [word];
+            const parts = Renderer.splitWords(word);
 
             return parts.map(part => {
                 let content = part;
@@ -313,7 +494,7 @@ class Renderer {
 
         let wordIndex = 0;
         const wrap = text => text.replace(/(\S+)/g, word => {
-            const parts = word.match(/[^-]+-?/g) || [word];
+            const parts = Renderer.splitWords(word);
             
             return parts.map(part => {
                 let content = part;
@@ -342,6 +523,135 @@ class Renderer {
         return temp.innerHTML;
     }
 
+    // ========================================
+    // PUBLIC API - HIGHLIGHTS
+    // ========================================
+
+    /**
+     * Set the highlights for the current content and draw them
+     * They are re-drawn after every renderContent()
+     * @param {Array<Object>} highlights - [{ id, start, end, quote, color, note }]
+     */
+    setHighlights(highlights) {
+        this._highlights = Array.isArray(highlights) ? highlights : [];
+        this.applyHighlights();
+    }
+
+    /**
+     * Mark highlighted words in the DOM
+     * Each highlight's quote is checked against its word range; if the words
+     * moved, the quote is searched for and the nearest match is used instead
+     * @returns {Array<Object>} Resolved ranges [{ id, start, end }] (unmatched highlights are skipped)
+     */
+    applyHighlights() {
+        if (this._destroyed || !this.el || !this.el.content) return [];
+
+        this.el.content.querySelectorAll('.flow-word.highlight').forEach(el => {
+            el.classList.remove('highlight', 'highlight-start', 'highlight-end', 'has-note');
+            delete el.dataset.highlightId;
+            delete el.dataset.highlightColor;
+        });
+
+        if (this._highlights.length === 0) return [];
+
+        const wordEls = this.el.content.querySelectorAll('.flow-word');
+        const texts = Array.from(wordEls, el => el.textContent.trim());
+        const resolved = [];
+
+        this._highlights.forEach(highlight => {
+            const range = this._resolveHighlight(highlight, texts);
+            if (!range) {
+                console.warn('Highlight text not found, skipping:', highlight.quote);
+                return;
+            }
+
+            for (let i = range.start; i <= range.end; i++) {
+                const el = wordEls[i];
+                el.classList.add('highlight');
+                el.dataset.highlightId = highlight.id;
+                el.dataset.highlightColor = highlight.color || 'yellow';
+            }
+            wordEls[range.start].classList.add('highlight-start');
+            wordEls[range.end].classList.add('highlight-end');
+            if (highlight.note) {
+                wordEls[range.end].classList.add('has-note');
+            }
+
+            resolved.push({ id: highlight.id, ...range });
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Find a highlight's word range, verified by its quote
+     * @private
+     */
+    _resolveHighlight(highlight, texts) {
+        const length = highlight.end - highlight.start + 1;
+        if (length < 1) return null;
+
+        const quote = (highlight.quote || '').replace(/\s+/g, ' ').trim();
+        const matches = start => texts.slice(start, start + length).join(' ') === quote;
+
+        if (!quote) {
+            return highlight.end < texts.length ? { start: highlight.start, end: highlight.end } : null;
+        }
+        if (matches(highlight.start)) {
+            return { start: highlight.start, end: highlight.end };
+        }
+
+        // Search outwards from the stored position for the nearest match
+        const maxOffset = texts.length;
+        for (let offset = 1; offset < maxOffset; offset++) {
+            for (const start of [highlight.start - offset, highlight.start + offset]) {
+                if (start >= 0 && start + length <= texts.length && matches(start)) {
+                    return { start, end: start + length - 1 };
+                }
+            }
+        }
+        return null;
+    }
+
+    // ========================================
+    // PUBLIC API - SEARCH MATCHES
+    // ========================================
+
+    /**
+     * Set the search matches for the current content and draw them
+     * They are re-drawn after every renderContent()
+     * @param {Array<Object>} matches - [{ start, end, current }] (word ranges, inclusive)
+     */
+    setSearchMatches(matches) {
+        this._searchMatches = Array.isArray(matches) ? matches : [];
+        this.applySearchMatches();
+    }
+
+    /**
+     * Mark search matches in the DOM
+     */
+    applySearchMatches() {
+        if (this._destroyed || !this.el || !this.el.content) return;
+
+        this.el.content.querySelectorAll('.flow-word.search-match').forEach(el => {
+            el.classList.remove('search-match', 'search-match-start', 'search-match-end', 'search-match-current');
+        });
+
+        if (this._searchMatches.length === 0) return;
+
+        const wordEls = this.el.content.querySelectorAll('.flow-word');
+        this._searchMatches.forEach(({ start, end, current }) => {
+            if (!wordEls[start] || !wordEls[end]) return;
+
+            for (let i = start; i <= end; i++) {
+                wordEls[i].classList.add('search-match');
+                wordEls[i].classList.toggle('search-match-current', !!current);
+            }
+            wordEls[start].classList.add('search-match-start');
+            wordEls[end].classList.add('search-match-end');
+        });
+    }
+
     // ========================================
     // CLEANUP
     // ========================================
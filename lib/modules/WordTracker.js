@@ -40,10 +40,11 @@ class WordTracker {
      * Get active range of words around center
      * @param {number} centerIndex - Center word index
      * @param {number} focusWidth - Number of words in focus
+     * @param {string} chunking - 'fixed' (sliding window) or 'phrase'
      * @returns {Object} {start, end} indices
      */
-    getActiveRange(centerIndex, focusWidth) {
-        return this.indexManager.getActiveRange(centerIndex, focusWidth);
+    getActiveRange(centerIndex, focusWidth, chunking = 'fixed') {
+        return this.indexManager.getActiveRange(centerIndex, focusWidth, chunking);
     }
 
     /**
@@ -0,0 +1,288 @@
+/**
+ * AdaptiveSpeedService v1.0.0
+ * Opt-in speed adjustment that learns from how the reader reads
+ *
+ * Double-tap jumps backwards and short pause/resume cycles count as
+ * struggling and nudge the speed down; long uninterrupted stretches nudge
+ * it up. Changes stay within the user's bounds and go through
+ * reader.setSpeed() so a playing Animator rebases its timeline.
+ * The learned speed is remembered per book.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class AdaptiveSpeedService {
+    constructor(reader, stateManager, bookData, config = {}) {
+        this.reader = reader;
+        this.stateManager = stateManager;
+        this.bookData = bookData;
+
+        this.config = {
+            struggleWindowMs: 60000,  // Window in which struggle signals add up
+            struggleThreshold: 2,     // Score that triggers a slow-down
+            backJumpWeight: 1,        // Score for a double-tap jump backwards
+            pauseWeight: 0.5,         // Score for a short pause followed by resume
+            breakMs: 30000,           // Pauses longer than this are breaks, not struggle
+            smoothStretchMs: 120000,  // Uninterrupted reading before a speed-up
+            slowDownRatio: 0.08,
+            speedUpRatio: 0.04,
+            ...config
+        };
+
+        this.bookId = null;
+        this._signals = [];
+        this._pausedAt = null;
+        this._stretchTimer = null;
+        this._adjusting = false;
+
+        this._unsubscribers = [
+            this.reader.on('onWordJump', (jump) => this._handleWordJump(jump)),
+            this.reader.on('onPlayChange', (playing, source) => this._handlePlayChange(playing, source)),
+            this.stateManager.subscribe('flow.speed', (speed) => this._handleSpeedChange(speed)),
+            this.stateManager.subscribe('adaptive.enabled', (enabled) => {
+                if (!enabled) this._reset();
+            })
+        ];
+
+        console.log('AdaptiveSpeedService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Switch to a book and apply its learned speed (if adaptive mode is on)
+     * @param {string|null} bookId - Book key from EPUBService
+     */
+    setBook(bookId) {
+        this.bookId = bookId || null;
+        this._reset();
+
+        if (!this.bookId || !this._isEnabled()) return;
+
+        const learned = this.getLearnedSpeed(this.bookId);
+        if (learned) {
+            console.log(`🧠 Applying learned speed for this book: ${learned} WPM`);
+            this._applySpeed(learned);
+        }
+    }
+
+    /**
+     * Get the learned speed for a book
+     * @param {string} bookId - Book key
+     * @returns {number|null} WPM, or null if nothing was learned yet
+     */
+    getLearnedSpeed(bookId) {
+        const speed = this.bookData.get(bookId, 'adaptiveSpeed');
+        return typeof speed === 'number' ? speed : null;
+    }
+
+    /**
+     * Check if a speed change comes from this service rather than the user
+     * @returns {boolean}
+     */
+    isAdjusting() {
+        return this._adjusting;
+    }
+
+    /**
+     * Forget the learned speed for a book
+     * @param {string} bookId - Book key
+     */
+    clearLearnedSpeed(bookId) {
+        this.bookData.set(bookId, 'adaptiveSpeed', undefined);
+    }
+
+    // ========================================
+    // SIGNALS
+    // ========================================
+
+    /**
+     * Double-tap jumps backwards mean a missed passage
+     * (jumps from search, bookmarks, history or shortcuts don't count)
+     * @private
+     */
+    _handleWordJump({ from, to, source }) {
+        if (!this._isActive() || source !== 'doubleTap' || to >= from) return;
+        this._addSignal(this.config.backJumpWeight, 'jump back');
+    }
+
+    /**
+     * Short pause/resume cycles mean the text was too fast to take in
+     * (only the reader's own - not re-renders, chapter changes or notes)
+     * @private
+     */
+    _handlePlayChange(playing, source = 'user') {
+        if (!this._isActive()) {
+            this._clearStretchTimer();
+            return;
+        }
+
+        if (!playing) {
+            this._clearStretchTimer();
+
+            // Stopping at the end of a chapter isn't a struggle
+            const readerState = this.reader.getState();
+            const atEnd = readerState.currentWordIndex >= readerState.totalWords - 1;
+            this._pausedAt = atEnd || source !== 'user' ? null : Date.now();
+            return;
+        }
+
+        if (source === 'user' && this._pausedAt !== null && Date.now() - this._pausedAt < this.config.breakMs) {
+            this._addSignal(this.config.pauseWeight, 'short pause');
+        }
+        this._pausedAt = null;
+        this._startStretchTimer();
+    }
+
+    /**
+     * Remember the current speed for this book, including manual changes
+     * @private
+     */
+    _handleSpeedChange(speed) {
+        if (!this.bookId || !this._isEnabled() || typeof speed !== 'number') return;
+
+        this.bookData.set(this.bookId, 'adaptiveSpeed', speed);
+
+        // A manual change restarts the evaluation
+        if (!this._adjusting) {
+            this._signals = [];
+            if (this.reader.getState().playing) {
+                this._startStretchTimer();
+            }
+        }
+    }
+
+    /**
+     * Record a struggle signal and slow down once enough add up
+     * @private
+     */
+    _addSignal(weight, reason) {
+        const now = Date.now();
+        this._signals.push({ time: now, weight });
+        this._signals = this._signals.filter(s => now - s.time <= this.config.struggleWindowMs);
+
+        const score = this._signals.reduce((sum, s) => sum + s.weight, 0);
+        console.log(`🧠 Adaptive speed: ${reason} (score ${score})`);
+
+        if (score >= this.config.struggleThreshold) {
+            this._signals = [];
+            this._nudge(-this.config.slowDownRatio);
+        }
+
+        // Struggling resets the uninterrupted stretch
+        if (this.reader.getState().playing) {
+            this._startStretchTimer();
+        }
+    }
+
+    // ========================================
+    // ADJUSTMENT
+    // ========================================
+
+    /**
+     * @private
+     */
+    _startStretchTimer() {
+        this._clearStretchTimer();
+        this._stretchTimer = setTimeout(() => {
+            this._stretchTimer = null;
+            if (!this._isActive() || !this.reader.getState().playing) return;
+
+            this._nudge(this.config.speedUpRatio);
+            this._startStretchTimer();
+        }, this.config.smoothStretchMs);
+    }
+
+    /**
+     * @private
+     */
+    _clearStretchTimer() {
+        if (this._stretchTimer) {
+            clearTimeout(this._stretchTimer);
+            this._stretchTimer = null;
+        }
+    }
+
+    /**
+     * Change speed by a ratio, rounded to 5 WPM and clamped to the user's bounds
+     * @private
+     */
+    _nudge(ratio) {
+        const current = this.stateManager.get('flow.speed');
+        const target = Math.round(current * (1 + ratio) / 5) * 5;
+        const applied = this._applySpeed(target);
+
+        if (applied !== current) {
+            console.log(`🧠 Adaptive speed: ${current} → ${applied} WPM`);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {number} Speed actually applied
+     */
+    _applySpeed(wpm) {
+        const min = Math.max(this.reader.config.speed.min, this.stateManager.get('adaptive.minSpeed'));
+        const max = Math.min(this.reader.getMaxSpeed(), this.stateManager.get('adaptive.maxSpeed'));
+        const clamped = Math.max(min, Math.min(max, wpm));
+
+        if (clamped !== this.stateManager.get('flow.speed')) {
+            this._adjusting = true;
+            try {
+                this.reader.setSpeed(clamped);
+            } finally {
+                this._adjusting = false;
+            }
+        }
+        return clamped;
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * @private
+     */
+    _isEnabled() {
+        return this.stateManager.get('adaptive.enabled') === true;
+    }
+
+    /**
+     * Adaptive mode only watches timed reading (flow and RSVP)
+     * @private
+     */
+    _isActive() {
+        return this._isEnabled() && this.reader.getState().mode !== 'normal';
+    }
+
+    /**
+     * @private
+     */
+    _reset() {
+        this._signals = [];
+        this._pausedAt = null;
+        this._clearStretchTimer();
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        this._reset();
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+        this.reader = null;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdaptiveSpeedService;
+}
+if (typeof window !== 'undefined') {
+    window.AdaptiveSpeedService = AdaptiveSpeedService;
+}
@@ -0,0 +1,374 @@
+/**
+ * AnnotationService v1.0.0
+ * Highlights and notes for the open book
+ *
+ * A highlight is anchored to a word range in its chapter plus the quoted
+ * text, so the Renderer can verify (and re-find) it every time the chapter
+ * is re-wrapped. Annotations are stored per book through BookDataService.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class AnnotationService {
+    static COLORS = ['yellow', 'green', 'blue', 'pink'];
+    static EXPORT_FORMAT = 'cheetah-reader-annotations';
+    static EXPORT_VERSION = 1;
+
+    constructor(reader, bookData) {
+        this.reader = reader;
+        this.bookData = bookData;
+
+        this.bookId = null;
+        this.chapterIndex = 0;
+        this._callbacks = {};
+
+        console.log('AnnotationService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // EVENT SYSTEM
+    // ========================================
+
+    /**
+     * Subscribe to an event
+     *
+     * Available events:
+     * - 'annotationsChanged' - { bookId, annotations } (all annotations of the open book)
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return;
+        const index = this._callbacks[event].indexOf(callback);
+        if (index > -1) {
+            this._callbacks[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+        if (this._callbacks[event]) {
+            this._callbacks[event].forEach(cb => {
+                try {
+                    cb(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+
+    // ========================================
+    // CONTEXT
+    // ========================================
+
+    /**
+     * Switch to a book (null when no book is open)
+     * @param {string|null} bookId - Book id from EPUBService
+     */
+    setBook(bookId) {
+        this.bookId = bookId || null;
+        this.chapterIndex = 0;
+        this._refresh();
+    }
+
+    /**
+     * Switch to a chapter of the open book
+     * @param {number} index - Chapter index
+     */
+    setChapter(index) {
+        this.chapterIndex = index;
+        this._applyToReader();
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Highlight a word range in the current chapter
+     * @param {Object} range - { start, end, text }
+     * @param {Object} [options] - { color, note }
+     * @returns {Object|null} The annotation, or null if no book is open
+     */
+    add(range, options = {}) {
+        if (!this.bookId || !range) return null;
+
+        const start = Math.min(range.start, range.end);
+        const end = Math.max(range.start, range.end);
+        const quote = range.text ?? this.reader.getTextAt(start, end - start + 1);
+
+        const annotation = {
+            id: `hl-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            chapterIndex: this.chapterIndex,
+            start,
+            end,
+            quote,
+            color: this._validColor(options.color),
+            note: (options.note || '').trim(),
+            createdAt: Date.now()
+        };
+
+        const annotations = this.getAll();
+        annotations.push(annotation);
+        this._save(annotations);
+
+        console.log('🖍️ Highlight added:', annotation);
+        return { ...annotation };
+    }
+
+    /**
+     * Change a highlight's color and/or note
+     * @param {string} id - Annotation id
+     * @param {Object} changes - { color, note }
+     * @returns {Object|null} Updated annotation, or null if not found
+     */
+    update(id, changes = {}) {
+        const annotations = this.getAll();
+        const annotation = annotations.find(a => a.id === id);
+        if (!annotation) return null;
+
+        if (changes.color !== undefined) {
+            annotation.color = this._validColor(changes.color);
+        }
+        if (changes.note !== undefined) {
+            annotation.note = (changes.note || '').trim();
+        }
+        annotation.updatedAt = Date.now();
+
+        this._save(annotations);
+        return { ...annotation };
+    }
+
+    /**
+     * Remove a highlight
+     * @param {string} id - Annotation id
+     * @returns {boolean} True if a highlight was removed
+     */
+    remove(id) {
+        const annotations = this.getAll();
+        const remaining = annotations.filter(a => a.id !== id);
+        if (remaining.length === annotations.length) return false;
+
+        this._save(remaining);
+        return true;
+    }
+
+    /**
+     * Get one annotation
+     * @param {string} id - Annotation id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.getAll().find(a => a.id === id) || null;
+    }
+
+    /**
+     * Get all annotations of the open book, in reading order
+     * @returns {Array<Object>} [{ id, chapterIndex, start, end, quote, color, note, createdAt }]
+     */
+    getAll() {
+        const annotations = this.bookData?.get(this.bookId, 'annotations');
+        return Array.isArray(annotations) ? annotations.map(a => ({ ...a })) : [];
+    }
+
+    // ========================================
+    // EXPORT / IMPORT
+    // ========================================
+
+    /**
+     * Export the open book's annotations as Markdown, grouped by chapter
+     * @param {Object} [book] - { title, author, chapters } (chapters from EPUBService)
+     * @returns {string}
+     */
+    exportMarkdown(book = {}) {
+        const chapters = book.chapters || [];
+        const lines = [`# ${book.title || 'Untitled'}`];
+        if (book.author) {
+            lines.push('', `*${book.author}*`);
+        }
+
+        let currentChapter = null;
+        this.getAll().forEach(annotation => {
+            if (annotation.chapterIndex !== currentChapter) {
+                currentChapter = annotation.chapterIndex;
+                lines.push('', `## ${this._chapterLabel(chapters, currentChapter)}`);
+            }
+
+            lines.push('', `> ${annotation.quote}`);
+            if (annotation.note) {
+                lines.push('', ...annotation.note.split('\n'));
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Export the open book's annotations for tooling (re-importable)
+     * @param {Object} [book] - { title, author, chapters }
+     * @returns {Object|null} Export object, or null if no book is open
+     */
+    exportJSON(book = {}) {
+        if (!this.bookId) return null;
+
+        const chapters = book.chapters || [];
+        return {
+            format: AnnotationService.EXPORT_FORMAT,
+            version: AnnotationService.EXPORT_VERSION,
+            bookId: this.bookId,
+            title: book.title || '',
+            author: book.author || '',
+            exportedAt: new Date().toISOString(),
+            annotations: this.getAll().map(a => ({
+                ...a,
+                chapterLabel: this._chapterLabel(chapters, a.chapterIndex)
+            }))
+        };
+    }
+
+    /**
+     * Restore annotations from exportJSON() onto the book they came from
+     * The book doesn't have to be open; annotations already present (same id) are kept.
+     * @param {Object|string} data - Export object or its JSON text
+     * @returns {Object} { bookId, imported, skipped }
+     */
+    importJSON(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!parsed || parsed.format !== AnnotationService.EXPORT_FORMAT ||
+            !parsed.bookId || !Array.isArray(parsed.annotations)) {
+            throw new Error('Not a Cheetah Reader annotations file');
+        }
+
+        const stored = this.bookData.get(parsed.bookId, 'annotations');
+        const annotations = Array.isArray(stored) ? stored : [];
+        const ids = new Set(annotations.map(a => a.id));
+        let imported = 0;
+
+        parsed.annotations.forEach(item => {
+            const annotation = this._sanitize(item);
+            if (!annotation || ids.has(annotation.id)) return;
+            annotations.push(annotation);
+            ids.add(annotation.id);
+            imported++;
+        });
+
+        const result = { bookId: parsed.bookId, imported, skipped: parsed.annotations.length - imported };
+
+        if (parsed.bookId === this.bookId) {
+            this._save(annotations);
+        } else {
+            annotations.sort((a, b) => a.chapterIndex - b.chapterIndex || a.start - b.start);
+            this.bookData.set(parsed.bookId, 'annotations', annotations);
+        }
+
+        console.log('📥 Annotations imported:', result);
+        return result;
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Validate an imported annotation (drops export-only fields)
+     * @private
+     */
+    _sanitize(item) {
+        if (!item || typeof item.id !== 'string') return null;
+        if (![item.chapterIndex, item.start, item.end].every(Number.isInteger)) return null;
+        if (item.start < 0 || item.end < item.start) return null;
+
+        const annotation = {
+            id: item.id,
+            chapterIndex: item.chapterIndex,
+            start: item.start,
+            end: item.end,
+            quote: typeof item.quote === 'string' ? item.quote : '',
+            color: this._validColor(item.color),
+            note: typeof item.note === 'string' ? item.note : '',
+            createdAt: Number(item.createdAt) || Date.now()
+        };
+        if (item.updatedAt) {
+            annotation.updatedAt = Number(item.updatedAt) || undefined;
+        }
+        return annotation;
+    }
+
+    /**
+     * @private
+     */
+    _chapterLabel(chapters, index) {
+        return (chapters[index]?.label || '').trim() || `Chapter ${index + 1}`;
+    }
+
+    /**
+     * @private
+     */
+    _save(annotations) {
+        annotations.sort((a, b) => a.chapterIndex - b.chapterIndex || a.start - b.start);
+        this.bookData.set(this.bookId, 'annotations', annotations);
+        this._refresh();
+    }
+
+    /**
+     * @private
+     */
+    _refresh() {
+        this._applyToReader();
+        this._emit('annotationsChanged', { bookId: this.bookId, annotations: this.getAll() });
+    }
+
+    /**
+     * Hand the current chapter's highlights to the reader
+     * @private
+     */
+    _applyToReader() {
+        if (!this.reader) return;
+        this.reader.setHighlights(
+            this.getAll().filter(a => a.chapterIndex === this.chapterIndex)
+        );
+    }
+
+    /**
+     * @private
+     */
+    _validColor(color) {
+        return AnnotationService.COLORS.includes(color) ? color : AnnotationService.COLORS[0];
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        this._callbacks = {};
+        this.reader = null;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnnotationService;
+}
+if (typeof window !== 'undefined') {
+    window.AnnotationService = AnnotationService;
+}
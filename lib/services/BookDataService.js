@@ -0,0 +1,127 @@
+/**
+ * BookDataService v1.0.0
+ * Per-book storage (reading position, learned speed, ...) in localStorage
+ *
+ * Each book gets its own localStorage entry keyed by its book id, so
+ * deleting a book purges everything stored for it in one go.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class BookDataService {
+    constructor(prefix = 'cheetah-reader-book:') {
+        this.prefix = prefix;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Read one field for a book
+     * @param {string} bookId - Book id from EPUBService
+     * @param {string} field - e.g. 'position'
+     * @returns {*} Stored value, or undefined
+     */
+    get(bookId, field) {
+        if (!bookId) return undefined;
+        return this._read(bookId)[field];
+    }
+
+    /**
+     * Write one field for a book
+     * @param {string} bookId - Book id
+     * @param {string} field - Field name
+     * @param {*} value - JSON-serializable value (undefined removes the field)
+     */
+    set(bookId, field, value) {
+        if (!bookId) return;
+
+        const data = this._read(bookId);
+        if (value === undefined) {
+            delete data[field];
+        } else {
+            data[field] = value;
+        }
+        this._write(bookId, data);
+    }
+
+    /**
+     * Get everything stored for a book
+     * @param {string} bookId - Book id
+     * @returns {Object}
+     */
+    getAll(bookId) {
+        return bookId ? this._read(bookId) : {};
+    }
+
+    /**
+     * Delete everything stored for a book
+     * @param {string} bookId - Book id
+     */
+    removeBook(bookId) {
+        if (!bookId) return;
+        try {
+            localStorage.removeItem(this.prefix + bookId);
+            console.log('🗑️ Cleared data for book:', bookId);
+        } catch (error) {
+            console.error('❌ Failed to clear book data:', error);
+        }
+    }
+
+    /**
+     * List ids of all books with stored data
+     * @returns {Array<string>}
+     */
+    listBooks() {
+        const ids = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.prefix)) {
+                    ids.push(key.slice(this.prefix.length));
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to list book data:', error);
+        }
+        return ids;
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * @private
+     */
+    _read(bookId) {
+        try {
+            const raw = localStorage.getItem(this.prefix + bookId);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.error('❌ Failed to load book data:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    _write(bookId, data) {
+        try {
+            localStorage.setItem(this.prefix + bookId, JSON.stringify(data));
+        } catch (error) {
+            console.error('❌ Failed to save book data:', error);
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookDataService;
+}
+if (typeof window !== 'undefined') {
+    window.BookDataService = BookDataService;
+}
@@ -0,0 +1,265 @@
+/**
+ * BookSettingsService v1.0.0
+ * Optional per-book overrides for font, theme, size, margins and speed
+ *
+ * While a book is open, its overrides are written into StateManager (so
+ * the font, theme and renderer services react as usual) and
+ * SettingsPersistence keeps saving the global values underneath. Changes to
+ * an overridden key update the override; with 'pinToBook' on, any change is
+ * pinned to the open book. Overrides are stored through BookDataService.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class BookSettingsService {
+    static OVERRIDABLE_KEYS = ['font', 'fontSize', 'lineHeight', 'theme', 'marginL', 'marginR', 'flow.speed'];
+
+    constructor(stateManager, persistence, bookData) {
+        this.stateManager = stateManager;
+        this.persistence = persistence;
+        this.bookData = bookData;
+
+        this.bookId = null;
+        this._overrides = {};
+        this._applying = false;
+        this._callbacks = {};
+
+        this._unsubscribers = BookSettingsService.OVERRIDABLE_KEYS.map(key =>
+            this.stateManager.subscribe(key, (value, oldValue) => this._handleChange(key, value, oldValue))
+        );
+
+        console.log('BookSettingsService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // EVENT SYSTEM
+    // ========================================
+
+    /**
+     * Subscribe to an event
+     *
+     * Available events:
+     * - 'overridesChanged' - { bookId, overrides } (key → value for the open book)
+     * - 'settingsApplied' - { keys } (state values replaced by this service)
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return;
+        const index = this._callbacks[event].indexOf(callback);
+        if (index > -1) {
+            this._callbacks[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+        if (this._callbacks[event]) {
+            this._callbacks[event].forEach(cb => {
+                try {
+                    cb(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Switch books: restore global values, then apply the new book's overrides
+     * @param {string|null} bookId - Book id from EPUBService (null when no book is open)
+     */
+    setBook(bookId) {
+        const restored = Object.keys(this._overrides);
+        this._applyValues(Object.fromEntries(
+            restored.map(key => [key, this.persistence.releaseGlobalValue(key)])
+        ));
+
+        this.bookId = bookId || null;
+        const stored = this.bookData.get(this.bookId, 'settings');
+        this._overrides = {};
+
+        if (stored && typeof stored === 'object') {
+            BookSettingsService.OVERRIDABLE_KEYS
+                // Skip values the current schema no longer accepts (e.g. a removed font)
+                .filter(key => key in stored && !this.persistence.schema.check(key, stored[key]))
+                .forEach(key => {
+                    this.persistence.setGlobalValue(key, this.stateManager.get(key));
+                    this._overrides[key] = stored[key];
+                });
+            this._applyValues(this._overrides);
+
+            if (Object.keys(this._overrides).length > 0) {
+                console.log('📌 Applied book settings:', this._overrides);
+            }
+        }
+
+        this._emit('overridesChanged', { bookId: this.bookId, overrides: this.getOverrides() });
+    }
+
+    /**
+     * Get the open book's overrides
+     * @returns {Object} key → value
+     */
+    getOverrides() {
+        return { ...this._overrides };
+    }
+
+    /**
+     * Check if a key is overridden for the open book
+     * @param {string} key - Setting key
+     * @returns {boolean}
+     */
+    isOverridden(key) {
+        return key in this._overrides;
+    }
+
+    /**
+     * Check if state changes come from switching books or resetting
+     * overrides rather than from the user
+     * @returns {boolean}
+     */
+    isApplying() {
+        return this._applying;
+    }
+
+    /**
+     * Pin the current value(s) to the open book
+     * @param {string|Array<string>} [keys] - Keys to pin (default: all overridable keys)
+     * @returns {boolean} False if no book is open
+     */
+    pin(keys = BookSettingsService.OVERRIDABLE_KEYS) {
+        if (!this.bookId) return false;
+
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+            this._assertOverridable(key);
+            if (!this.isOverridden(key)) {
+                this.persistence.setGlobalValue(key, this.stateManager.get(key));
+            }
+            this._overrides[key] = this.stateManager.get(key);
+        });
+
+        this._save();
+        return true;
+    }
+
+    /**
+     * Drop override(s) and go back to the global value(s)
+     * @param {string|Array<string>} [keys] - Keys to reset (default: all)
+     */
+    reset(keys = Object.keys(this._overrides)) {
+        const values = {};
+        (Array.isArray(keys) ? keys : [keys])
+            .filter(key => this.isOverridden(key))
+            .forEach(key => {
+                values[key] = this.persistence.releaseGlobalValue(key);
+                delete this._overrides[key];
+            });
+
+        if (Object.keys(values).length === 0) return;
+
+        this._applyValues(values);
+        this._save();
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Track changes to overridden keys, or pin new ones in 'pinToBook' mode
+     * @private
+     */
+    _handleChange(key, value, oldValue) {
+        // Imported or profile settings are global, never pinned
+        if (this._applying || this.persistence.isApplying() || !this.bookId) return;
+
+        if (this.isOverridden(key)) {
+            this._overrides[key] = value;
+        } else if (this.stateManager.get('pinToBook') === true) {
+            // The previous value was the global one
+            this.persistence.setGlobalValue(key, oldValue);
+            this._overrides[key] = value;
+        } else {
+            return;
+        }
+
+        this._save();
+    }
+
+    /**
+     * Write values into state without treating them as user changes
+     * @private
+     */
+    _applyValues(values) {
+        const keys = Object.keys(values);
+        if (keys.length === 0) return;
+
+        // Listeners may refresh views (or re-apply the speed) without it counting as a change
+        this._applying = true;
+        try {
+            keys.forEach(key => this.stateManager.set(key, values[key]));
+            this._emit('settingsApplied', { keys });
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        const overrides = this.getOverrides();
+        this.bookData.set(this.bookId, 'settings', Object.keys(overrides).length > 0 ? overrides : undefined);
+        this._emit('overridesChanged', { bookId: this.bookId, overrides });
+    }
+
+    /**
+     * @private
+     */
+    _assertOverridable(key) {
+        if (!BookSettingsService.OVERRIDABLE_KEYS.includes(key)) {
+            throw new Error(`Setting can't be set per book: ${key}`);
+        }
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+        this._callbacks = {};
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookSettingsService;
+}
+if (typeof window !== 'undefined') {
+    window.BookSettingsService = BookSettingsService;
+}
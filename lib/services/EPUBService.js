@@ -10,12 +10,50 @@
  */
 
 class EPUBService {
-    constructor(reader) {
+    constructor(reader, options = {}) {
         this.reader = reader;
+        this.bookData = options.bookData || null;
         this.book = null;
+        this.bookId = null;
         this.chapters = [];
+        this.toc = [];
         this.currentChapterIndex = -1;
         this.imageCache = new Map();
+        this._cover = null; // { blob, url } of the open book's cover
+
+        // Prepared chapter content (index → Promise<string|null>)
+        this._prepared = new Map();
+        this._prefetchTimer = null;
+
+        // Full-text search (bookId → Promise of chapter words, most recently used last)
+        this._searchIndexes = new Map();
+        this.searchIndexLimit = options.searchIndexLimit || 3;
+        this._search = null; // { query, options, hits, current }
+        this._searchToken = 0;
+        this._searchIndexTimer = null;
+
+        // Open note popover ({ href, wasPlaying }) and the latest note request
+        this._note = null;
+        this._noteToken = 0;
+
+        // Back/forward history of jumps ({ chapterIndex, wordIndex }, most recent last)
+        this._history = { back: [], forward: [] };
+        this.historyLimit = options.historyLimit || 50;
+
+        // Optionally mirror jumps into the browser history, so its back button works too
+        this.browserHistory = !!options.browserHistory && typeof window !== 'undefined' && !!window.history;
+        this._popStateHandler = null;
+        if (this.browserHistory) {
+            this._popStateHandler = (e) => this._handlePopState(e);
+            window.addEventListener('popstate', this._popStateHandler);
+        }
+
+        // Reading position (saving waits until a resume offer is answered)
+        this._pendingResume = null;
+        this._positionReady = false;
+        this._saveTimer = null;
+        this._unsubscribers = [];
+        this._setupPositionTracking();
 
         // ✅ NEW: Event system for decoupling
         this._callbacks = {};
@@ -73,146 +111,1306 @@ class EPUBService {
     }
 
     /**
-     * Load an EPUB file
-     * @param {File} file - EPUB file to load
+     * Load an EPUB file
+     * @param {File} file - EPUB file to load
+     */
+    async loadBook(file) {
+        console.log('Loading EPUB:', file.name);
+
+        try {
+            // Clean up previous book
+            this._cleanup();
+
+            // ✅ Emit event instead of DOM manipulation
+            this._emit('bookLoadStarted', { filename: file.name });
+
+            // Read file as array buffer
+            const arrayBuffer = await file.arrayBuffer();
+
+            // Parse EPUB using ePub.js
+            this.book = ePub(arrayBuffer);
+
+            await this.book.ready;
+
+            // Stable key for per-book data
+            this.bookId = await this._computeBookId(arrayBuffer, file);
+
+            // Update metadata, with the cover (now emits events)
+            this._cover = await this._resolveCover();
+            await this._updateMetadata();
+
+            // Extract chapters (now emits events)
+            await this._extractChapters();
+            const savedPosition = this.bookData?.get(this.bookId, 'position');
+
+            // ✅ Emit success event
+            this._emit('bookLoaded', {
+                bookId: this.bookId,
+                file,
+                filename: file.name,
+                chapterCount: this.chapters.length
+            });
+
+            // Load first chapter
+            if (this.chapters.length > 0) {
+                await this.loadChapter(0);
+            }
+
+            this._emitBookmarks();
+            this._scheduleSearchIndex();
+
+            // Seen this book before? Offer to pick up where the reader left off
+            if (savedPosition && savedPosition.chapterIndex < this.chapters.length &&
+                (savedPosition.chapterIndex > 0 || savedPosition.wordIndex > 0)) {
+                this._pendingResume = savedPosition;
+                this._emit('resumeAvailable', {
+                    ...savedPosition,
+                    label: this.chapters[savedPosition.chapterIndex].label
+                });
+            } else {
+                this._positionReady = true;
+            }
+
+            console.log('EPUB loaded successfully');
+        } catch (error) {
+            console.error('Failed to load EPUB:', error);
+
+            // ✅ Emit error event instead of alert
+            this._emit('epubError', {
+                code: 'LOAD_FAILED',
+                message: 'Failed to load EPUB file. Please check the file format.',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Identify a book by a SHA-256 of its bytes
+     * Falls back to the OPF identifier, then file name and size, where
+     * SubtleCrypto isn't available (insecure contexts)
+     * @private
+     */
+    async _computeBookId(arrayBuffer, file) {
+        try {
+            if (window.crypto?.subtle) {
+                const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+                return Array.from(new Uint8Array(digest))
+                    .map(b => b.toString(16).padStart(2, '0'))
+                    .join('');
+            }
+        } catch (error) {
+            console.warn('Could not hash EPUB, using identifier instead:', error);
+        }
+        return this.book.packaging.metadata.identifier || `${file.name}:${file.size}`;
+    }
+
+    /**
+     * Get the cover image of the open book
+     * @returns {Promise<Blob|null>} Cover, or null if the book has none
+     */
+    async getCover() {
+        return this._cover ? this._cover.blob : null;
+    }
+
+    /**
+     * Find the cover in the OPF manifest and load it
+     * EPUB 3 marks it with properties="cover-image", EPUB 2 with
+     * <meta name="cover">; failing both, an image named like a cover is used.
+     * @private
+     * @returns {Promise<Object|null>} { blob, url } (url is a blob URL), or null
+     */
+    async _resolveCover() {
+        const packaging = this.book.packaging;
+        const items = Object.entries(packaging.manifest || {}).map(([id, item]) => ({ id, ...item }));
+        const isImage = item => /^image\//.test(item.type || '') || /\.(jpe?g|png|gif|svg|webp)$/i.test(item.href || '');
+
+        const item = items.find(i => (i.properties || []).includes('cover-image'))
+            || (packaging.coverPath ? items.find(i => i.href === packaging.coverPath) || { href: packaging.coverPath } : null)
+            || items.find(i => isImage(i) && /cover/i.test(`${i.id} ${i.href}`));
+        if (!item) return null;
+
+        try {
+            const path = this.book.resolve(item.href);
+            const blob = this.book.archive
+                ? await this.book.archive.request(path, 'blob')
+                : await fetch(path).then(response => response.blob());
+            if (!(blob instanceof Blob)) return null;
+
+            const typed = blob.type ? blob : new Blob([blob], { type: item.type || this._getMimeType(item.href) });
+            console.log('🖼️ Cover:', item.href);
+            return { blob: typed, url: URL.createObjectURL(typed) };
+        } catch (error) {
+            console.warn('Could not read cover:', item.href, error);
+            return null;
+        }
+    }
+
+    /**
+     * Every <dc:identifier> in the package document (ISBN, UUID, DOI, ...)
+     * @private
+     * @returns {Promise<Array<Object>>} [{ value, scheme }]
+     */
+    async _readIdentifiers() {
+        const fallback = this.book.packaging.metadata.identifier;
+        const fallbackIds = fallback ? [{ value: fallback, scheme: EPUBService.identifierScheme(fallback) }] : [];
+
+        try {
+            const opf = await this.book.load(this.book.resolve(this.book.container.packagePath));
+            const nodes = Array.from(opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'identifier'));
+            const identifiers = nodes
+                .map(node => {
+                    const value = node.textContent.trim();
+                    const declared = node.getAttributeNS('http://www.idpf.org/2007/opf', 'scheme') || node.getAttribute('opf:scheme');
+                    return { value, scheme: EPUBService.identifierScheme(value, declared) };
+                })
+                .filter(id => id.value);
+            return identifiers.length > 0 ? identifiers : fallbackIds;
+        } catch (error) {
+            console.warn('Could not read identifiers:', error);
+            return fallbackIds;
+        }
+    }
+
+    /**
+     * Name the kind of a book identifier
+     * @param {string} value - Identifier, e.g. "urn:isbn:9780141439518"
+     * @param {string} [declared] - opf:scheme attribute, if any
+     * @returns {string} e.g. "ISBN", "UUID", "DOI", or '' if unknown
+     */
+    static identifierScheme(value, declared = '') {
+        if (declared) return declared.toUpperCase();
+
+        const prefixed = /^(?:urn:)?(isbn|issn|uuid|doi):/i.exec(value);
+        if (prefixed) return prefixed[1].toUpperCase();
+        if (/^(97[89])?\d{9}[\dX]$/i.test(value.replace(/[\s-]/g, ''))) return 'ISBN';
+        if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'UUID';
+        return '';
+    }
+
+    /**
+     * Extract and emit book metadata
+     * ✅ REFACTORED: No DOM manipulation, emits event instead
+     */
+    async _updateMetadata() {
+        const metadata = this.book.packaging.metadata;
+
+        const metadataData = {
+            title: metadata.title || 'Unknown Title',
+            author: metadata.creator || 'Unknown Author',
+            publisher: metadata.publisher || '',
+            language: metadata.language || '',
+            publicationDate: metadata.pubdate || '',
+            description: metadata.description || '',
+            rights: metadata.rights || '',
+            identifiers: await this._readIdentifiers(),
+            cover: this._cover ? this._cover.url : null
+        };
+
+        // ✅ Emit event for UI to handle
+        this._emit('metadataUpdated', metadataData);
+
+        console.log('Metadata:', metadataData);
+    }
+
+    /**
+     * Extract chapters from the spine, with labels from the table of contents
+     * Chapters are the spine sections in reading order, so sections the TOC
+     * leaves out (interludes, appendices, untitled parts) can still be read.
+     * this.toc keeps the TOC tree for the sidebar: each entry points at a
+     * chapter (and maybe an anchor in it), and sections without an entry are
+     * slotted in where they fall in reading order.
+     * ✅ REFACTORED: No DOM manipulation, emits event instead
+     */
+    async _extractChapters() {
+        this.chapters = [];
+        this.toc = [];
+
+        const toc = await this.book.loaded.navigation.then(nav => nav.toc);
+        const sections = [];
+        this.book.spine.each(section => sections.push(section));
+
+        if (sections.length === 0) {
+            console.warn('No chapters found in EPUB');
+
+            // ✅ Emit event for empty chapters
+            this._emit('chaptersExtracted', {
+                chapters: [],
+                toc: [],
+                isEmpty: true
+            });
+            return;
+        }
+
+        const indexOf = new Map(sections.map((section, index) => [section, index]));
+
+        // TOC entries, depth first
+        const entries = [];
+        const siblingsOf = new Map();
+        const visit = (items, depth, siblings) => items.forEach(item => {
+            const section = this.book.spine.get(item.href);
+            const node = {
+                id: item.id,
+                href: item.href,
+                label: (item.label || '').trim(),
+                chapterIndex: indexOf.has(section) ? indexOf.get(section) : null,
+                anchor: item.href.split('#')[1] || null,
+                depth,
+                children: []
+            };
+            siblings.push(node);
+            siblingsOf.set(node, siblings);
+            entries.push(node);
+            visit(item.subitems || [], depth + 1, node.children);
+        });
+        visit(toc || [], 0, this.toc);
+
+        this.chapters = sections.map((section, index) => {
+            const entry = entries.find(e => e.chapterIndex === index);
+            return {
+                id: section.idref,
+                href: section.href,
+                label: entry ? entry.label : '',
+                index,
+                // linear="no" sections (pop-up notes, ...) are outside the reading order
+                linear: section.linear !== false && section.linear !== 'no'
+            };
+        });
+
+        // Sections missing from the TOC go right after the entry for the section
+        // before them (inside it if its sub-entries come later in the book)
+        const hasLater = (node, index) => node.children.some(child =>
+            (child.chapterIndex ?? -1) > index || hasLater(child, index)
+        );
+        this.chapters.forEach(chapter => {
+            if (entries.some(e => e.chapterIndex === chapter.index)) return;
+
+            // The first entry for that section is its main one (later ones are anchors in it)
+            const before = entries
+                .filter(e => e.chapterIndex !== null && e.chapterIndex < chapter.index)
+                .reduce((best, e) => !best || e.chapterIndex > best.chapterIndex ? e : best, null);
+            const node = {
+                id: chapter.id,
+                href: chapter.href,
+                label: '',
+                chapterIndex: chapter.index,
+                anchor: null,
+                depth: 0,
+                untitled: true,
+                children: []
+            };
+
+            let siblings = this.toc;
+            let position = 0;
+            if (before && hasLater(before, chapter.index)) {
+                siblings = before.children;
+                node.depth = before.depth + 1;
+            } else if (before) {
+                siblings = siblingsOf.get(before);
+                position = siblings.indexOf(before) + 1;
+                node.depth = before.depth;
+            }
+            siblings.splice(position, 0, node);
+            siblingsOf.set(node, siblings);
+            entries.push(node);
+        });
+
+        console.log(`Extracted ${this.chapters.length} chapters (${entries.length} TOC entries)`);
+
+        // ✅ Emit event with chapters data
+        this._emit('chaptersExtracted', {
+            chapters: this.chapters.map(ch => ({ ...ch })), // Return copy
+            toc: JSON.parse(JSON.stringify(this.toc)),
+            isEmpty: false
+        });
+    }
+
+    /**
+     * ✅ REMOVED: _createChapterElement - UI layer handles DOM creation now
+     * The UI will subscribe to 'chaptersExtracted' event and create elements
+     */
+
+    /**
+     * Load a specific chapter by index
+     * @param {number} index - Chapter index
+     * @param {boolean} [wasPlaying] - Resume flow after loading (defaults to current play state)
+     * @param {Object} [options]
+     * @param {boolean} [options.seamless] - Swap content in without the fade and replay delay
+     *   (used for auto-advance at chapter end)
+     * @param {string} [options.anchor] - Element id to move to once loaded (e.g. a TOC entry's #anchor)
+     * @param {boolean} [options.history] - Record the current place first, so back() returns to it
+     */
+    async loadChapter(index, wasPlaying, options = {}) {
+        if (!this.book || index < 0 || index >= this.chapters.length) {
+            console.error('Invalid chapter index:', index);
+            return;
+        }
+
+        if (options.history) {
+            this._recordJump();
+        }
+
+        // Navigating elsewhere answers a pending resume offer and closes an open note
+        this.dismissResume();
+        this.closeNote({ resume: false });
+
+        try {
+            console.log('Loading chapter:', index, this.chapters[index].label);
+
+            const chapter = this.chapters[index];
+
+            // Section load, images and sanitising (usually already prefetched)
+            const content = await this._prepareChapter(index);
+            if (content === null) {
+                console.error('Chapter section not found:', chapter.href);
+                return;
+            }
+
+            // Update current chapter
+            this.currentChapterIndex = index;
+            this._updateActiveChapter(index, options.anchor);
+            this._applySearchMatches();
+            
+            // Update navigation bar buttons
+            this._updateChapterNavBar();
+
+            // Load content into reader
+            let rendered = null;
+            if (this.reader) {
+                const currentState = this.reader.getState();
+                const shouldPlay = wasPlaying !== undefined ? wasPlaying : currentState.playing;
+                
+                if (options.seamless && currentState.mode !== 'normal') {
+                    // Swap the prepared chapter in and keep playing without a gap
+                    await this.reader.continueWith(content, shouldPlay);
+                } else {
+                    if (shouldPlay) {
+                        this.reader.pause({ source: 'chapter' });
+                    }
+                    
+                    rendered = this.reader.loadContent(content);
+                    
+                    // Reset scroll
+                    setTimeout(() => {
+                        const readerArea = document.querySelector('.ebook-reader-area');
+                        if (readerArea) {
+                            readerArea.scrollTop = 0;
+                        }
+                    }, 50);
+                    
+                    // Resume if was playing (flow or RSVP)
+                    if (shouldPlay && currentState.mode !== 'normal') {
+                        setTimeout(() => {
+                            this.reader.play({ source: 'chapter' });
+                        }, 300);
+                    }
+                }
+            }
+
+            // FIXED: Attach link handlers after content is fully rendered
+            // Wait for the next animation frame to ensure DOM is ready
+            requestAnimationFrame(() => {
+                requestAnimationFrame(() => {
+                    this._attachLinkHandlers();
+                });
+            });
+
+            // Get the next chapter in reading order ready while this one is read
+            this._schedulePrefetch(this._nextChapterIndex(index));
+
+            // Resolve once the chapter is on screen, so callers can position in it
+            await rendered;
+
+            if (options.anchor && !options.seamless) {
+                this._scrollToAnchor(options.anchor);
+            }
+            this.savePosition();
+
+        } catch (error) {
+            console.error('Failed to load chapter:', error);
+            alert('Failed to load chapter. The file may be corrupted.');
+        }
+    }
+
+    // ========================================
+    // READING POSITION
+    // ========================================
+
+    /**
+     * Load a chapter and move to a word in it
+     * @param {number} chapterIndex - Chapter index
+     * @param {number} wordIndex - Word index within the chapter
+     */
+    async goToPosition(chapterIndex, wordIndex) {
+        await this.loadChapter(chapterIndex, false);
+
+        if (this.reader && wordIndex > 0) {
+            try {
+                this.reader.jumpToWord(wordIndex);
+            } catch (error) {
+                console.warn('Could not restore word position:', error.message);
+            }
+        }
+        this.savePosition();
+    }
+
+    /**
+     * Accept the pending resume offer
+     */
+    async resumePosition() {
+        const position = this._pendingResume;
+        if (!position) return;
+
+        this._pendingResume = null;
+        this._positionReady = true;
+        console.log('📍 Resuming at chapter', position.chapterIndex, 'word', position.wordIndex);
+        this._emit('resumeDismissed', { resumed: true });
+
+        await this.goToPosition(position.chapterIndex, position.wordIndex);
+    }
+
+    /**
+     * Decline the pending resume offer (position saving starts from here)
+     */
+    dismissResume() {
+        if (!this._pendingResume) return;
+
+        this._pendingResume = null;
+        this._positionReady = true;
+        this._emit('resumeDismissed', { resumed: false });
+    }
+
+    /**
+     * Save the current chapter and word for this book
+     */
+    savePosition() {
+        if (!this.bookData || !this.bookId || !this._positionReady ||
+            !this.reader || this.currentChapterIndex < 0) return;
+
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+
+        this.bookData.set(this.bookId, 'position', {
+            chapterIndex: this.currentChapterIndex,
+            wordIndex: this.reader.getPosition(),
+            savedAt: Date.now()
+        });
+    }
+
+    // ========================================
+    // SEARCH
+    // ========================================
+
+    /**
+     * Index the text of every chapter (spine section)
+     * Words are split exactly as the reader splits them, so hit word indexes
+     * can be passed straight to jumpToWord(). The index is cached per book:
+     * later calls (and searches) reuse the same promise.
+     * @returns {Promise<Array<Object>>} One { words } entry per chapter
+     */
+    buildSearchIndex() {
+        if (!this.book) {
+            return Promise.reject(new Error('No book is open'));
+        }
+
+        const bookId = this.bookId;
+        const cached = this._searchIndexes.get(bookId);
+        if (cached) {
+            this._searchIndexes.delete(bookId);
+            this._searchIndexes.set(bookId, cached);
+            return cached;
+        }
+
+        const book = this.book;
+        const chapters = this.chapters.slice();
+        const promise = (async () => {
+            const index = [];
+
+            for (let i = 0; i < chapters.length; i++) {
+                if (this.book !== book) {
+                    throw new Error('Book was closed while indexing');
+                }
+
+                index.push({ words: await this._indexChapter(book, chapters[i]), texts: {} });
+
+                this._emit('searchIndexProgress', { bookId, indexed: i + 1, total: chapters.length });
+                await EPUBService._idle();
+            }
+
+            console.log('🔎 Search index built:', chapters.length, 'chapters');
+            return index;
+        })();
+
+        this._searchIndexes.set(bookId, promise);
+        promise.catch(() => {
+            if (this._searchIndexes.get(bookId) === promise) {
+                this._searchIndexes.delete(bookId);
+            }
+        });
+        while (this._searchIndexes.size > this.searchIndexLimit) {
+            this._searchIndexes.delete(this._searchIndexes.keys().next().value);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Search the whole book and highlight the matches
+     * Waits for the index on the first search of a book; later searches are instant.
+     * @param {string} query - Text to find (may span several words)
+     * @param {Object} [options]
+     * @param {boolean} [options.caseSensitive=false]
+     * @param {boolean} [options.diacriticSensitive=false] - When false, "cafe" also finds "café"
+     * @param {boolean} [options.wholeWord=false] - Only match whole words
+     * @param {number} [options.limit=1000] - Stop after this many hits
+     * @returns {Promise<Object|null>} { query, hits: [{ chapterIndex, chapterLabel, wordIndex,
+     *   endIndex, context: { before, match, after } }], truncated }, or null if a newer
+     *   search started (or the book closed) in the meantime
+     */
+    async search(query, options = {}) {
+        const token = ++this._searchToken;
+        const terms = Renderer.splitWords(String(query || ''));
+        if (terms.length === 0) {
+            this.clearSearch();
+            return { query: '', hits: [], truncated: false };
+        }
+
+        const settings = {
+            caseSensitive: options.caseSensitive === true,
+            diacriticSensitive: options.diacriticSensitive === true,
+            wholeWord: options.wholeWord === true
+        };
+        const limit = options.limit || 1000;
+
+        const book = this.book;
+        const index = await this.buildSearchIndex();
+        if (token !== this._searchToken || this.book !== book) return null;
+
+        const foldKey = `${settings.caseSensitive ? 'case' : ''}|${settings.diacriticSensitive ? 'marks' : ''}`;
+        const fold = word => EPUBService._fold(word, settings);
+        const needle = terms.map(fold).join(' ');
+        const hits = [];
+        let truncated = false;
+
+        for (let chapterIndex = 0; chapterIndex < index.length && !truncated; chapterIndex++) {
+            const entry = index[chapterIndex];
+            const { text, starts } = EPUBService._foldedText(entry, foldKey, fold);
+
+            let from = 0;
+            let pos;
+            while ((pos = text.indexOf(needle, from)) !== -1) {
+                const endPos = pos + needle.length;
+                from = pos + 1;
+                if (settings.wholeWord &&
+                    (EPUBService._isWordChar(text[pos - 1]) || EPUBService._isWordChar(text[endPos]))) {
+                    continue;
+                }
+
+                if (hits.length === limit) {
+                    truncated = true;
+                    break;
+                }
+
+                const wordIndex = EPUBService._wordAt(starts, pos);
+                const endIndex = EPUBService._wordAt(starts, endPos - 1);
+                hits.push({
+                    chapterIndex,
+                    chapterLabel: this.chapters[chapterIndex]?.label || '',
+                    wordIndex,
+                    endIndex,
+                    context: EPUBService._context(entry.words, wordIndex, endIndex)
+                });
+                from = endPos;
+            }
+        }
+
+        this._search = { query: String(query), options: settings, hits, current: -1 };
+        this._applySearchMatches();
+
+        const result = { query: String(query), hits: hits.map(hit => ({ ...hit })), truncated };
+        this._emit('searchResults', result);
+        console.log(`🔎 "${query}": ${hits.length} hit(s)`);
+        return result;
+    }
+
+    /**
+     * Go to a hit from the last search (loads its chapter if needed)
+     * @param {number} index - Position of the hit in the results
+     */
+    async goToSearchResult(index) {
+        const hit = this._search?.hits[index];
+        if (!hit) {
+            console.warn('Search result not found:', index);
+            return;
+        }
+
+        this._recordJump();
+        this._search.current = index;
+        if (hit.chapterIndex !== this.currentChapterIndex) {
+            await this.loadChapter(hit.chapterIndex, false);
+        } else {
+            this._applySearchMatches();
+        }
+
+        if (this.reader) {
+            try {
+                this.reader.jumpToWord(hit.wordIndex);
+            } catch (error) {
+                console.warn('Could not move to search result:', error.message);
+            }
+        }
+        this.savePosition();
+    }
+
+    /**
+     * Forget the last search and remove its highlights
+     */
+    clearSearch() {
+        this._searchToken++;
+        const hadSearch = this._search !== null;
+        this._search = null;
+        this._applySearchMatches();
+        if (hadSearch) {
+            this._emit('searchCleared', {});
+        }
+    }
+
+    /**
+     * Build the index in the background once the book has settled
+     * @private
+     */
+    _scheduleSearchIndex() {
+        clearTimeout(this._searchIndexTimer);
+        this._searchIndexTimer = setTimeout(() => {
+            this._searchIndexTimer = null;
+            this.buildSearchIndex().catch(error => {
+                console.warn('Search indexing stopped:', error.message);
+            });
+        }, 2000);
+    }
+
+    /**
+     * Words of one chapter's section (no image processing needed)
+     * @private
+     */
+    async _indexChapter(book, chapter) {
+        const section = book.spine.get(chapter.href);
+        if (!section) return [];
+
+        await section.load(book.load.bind(book));
+        try {
+            return EPUBService.extractWords(this._cleanContent(this._extractContent(section)));
+        } finally {
+            // Only the words are kept, so let epub.js drop the parsed document
+            // (unless the chapter is being prepared for the reader right now)
+            if (book !== this.book || !this._prepared.has(chapter.index)) {
+                section.unload();
+            }
+        }
+    }
+
+    /**
+     * Hand the current chapter's search matches to the reader
+     * @private
+     */
+    _applySearchMatches() {
+        if (!this.reader || typeof this.reader.setSearchMatches !== 'function') return;
+
+        const search = this._search;
+        const matches = search ? search.hits
+            .map((hit, i) => ({ hit, current: i === search.current }))
+            .filter(({ hit }) => hit.chapterIndex === this.currentChapterIndex)
+            .map(({ hit, current }) => ({ start: hit.wordIndex, end: hit.endIndex, current })) : [];
+
+        this.reader.setSearchMatches(matches);
+    }
+
+    /**
+     * Split chapter HTML into words, one text node at a time like Renderer
+     * @param {string} html - Sanitised chapter HTML
+     * @returns {Array<string>} Words in reader order
+     */
+    static extractWords(html) {
+        // Parsed into an inert document, so images aren't fetched
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+        const words = [];
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            words.push(...Renderer.splitWords(node.textContent));
+        }
+        return words;
+    }
+
+    /**
+     * Chapter words folded and joined with single spaces, with each word's offset
+     * (cached per fold setting)
+     * @private
+     */
+    static _foldedText(entry, key, fold) {
+        if (!entry.texts[key]) {
+            const starts = [];
+            let text = '';
+            entry.words.forEach((word, i) => {
+                if (i > 0) text += ' ';
+                starts.push(text.length);
+                text += fold(word);
+            });
+            entry.texts[key] = { text, starts };
+        }
+        return entry.texts[key];
+    }
+
+    /**
+     * @private
+     */
+    static _fold(word, { caseSensitive, diacriticSensitive }) {
+        let folded = diacriticSensitive
+            ? word.normalize('NFC')
+            : word.normalize('NFD').replace(/\p{M}/gu, '');
+        if (!caseSensitive) {
+            folded = folded.toLowerCase();
+        }
+        return folded;
+    }
+
+    /**
+     * @private
+     */
+    static _isWordChar(char) {
+        return char !== undefined && /[\p{L}\p{N}\p{M}_]/u.test(char);
+    }
+
+    /**
+     * Index of the word containing a text offset
+     * @private
+     */
+    static _wordAt(starts, offset) {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (starts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Words around a hit, joined back into text
+     * @private
+     */
+    static _context(words, start, end, size = 8) {
+        // Hyphenated words were split after the hyphen
+        const join = list => list.reduce((text, word, i) =>
+            i === 0 || text.endsWith('-') ? text + word : `${text} ${word}`, '');
+
+        return {
+            before: join(words.slice(Math.max(0, start - size), start)),
+            match: join(words.slice(start, end + 1)),
+            after: join(words.slice(end + 1, end + 1 + size))
+        };
+    }
+
+    /**
+     * Resolve on the next idle period, so indexing doesn't stall reading
+     * @private
+     */
+    static _idle() {
+        return new Promise(resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(() => resolve(), { timeout: 500 });
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    // ========================================
+    // NAVIGATION HISTORY
+    // ========================================
+
+    /**
+     * Return to where the last jump (link, TOC entry, bookmark or search
+     * result) was made from
+     * @returns {Promise<boolean>} False if there is nothing to go back to
+     */
+    async back() {
+        if (!this.canGoBack()) return false;
+
+        // The browser moves first; popstate brings the reader along
+        if (this.browserHistory) {
+            window.history.back();
+            return true;
+        }
+        return this._step('back');
+    }
+
+    /**
+     * Redo a jump undone with back()
+     * @returns {Promise<boolean>} False if there is nothing to go forward to
+     */
+    async forward() {
+        if (!this.canGoForward()) return false;
+
+        if (this.browserHistory) {
+            window.history.forward();
+            return true;
+        }
+        return this._step('forward');
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canGoBack() {
+        return this._history.back.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canGoForward() {
+        return this._history.forward.length > 0;
+    }
+
+    /**
+     * Remember the current place before jumping away from it
+     * @private
+     */
+    _recordJump() {
+        const location = this._currentLocation();
+        if (!location) return;
+
+        const stack = this._history.back;
+        const last = stack[stack.length - 1];
+        if (last && last.chapterIndex === location.chapterIndex && last.wordIndex === location.wordIndex) return;
+
+        // Tag the entry the reader starts from, so popstate can tell how far back it went
+        if (this.browserHistory && stack.length === 0) {
+            window.history.replaceState({ ...window.history.state, cheetahNav: { bookId: this.bookId, depth: 0 } }, '');
+        }
+
+        stack.push(location);
+        // Browser entries aren't trimmed, so depths must keep matching them
+        if (!this.browserHistory && stack.length > this.historyLimit) {
+            stack.shift();
+        }
+        this._history.forward = [];
+
+        if (this.browserHistory) {
+            window.history.pushState({ cheetahNav: { bookId: this.bookId, depth: stack.length } }, '');
+        }
+        this._updateChapterNavBar();
+    }
+
+    /**
+     * Move one or more entries back or forward and go to the last one
+     * @private
+     */
+    async _step(direction, count = 1) {
+        const from = direction === 'back' ? this._history.back : this._history.forward;
+        const to = direction === 'back' ? this._history.forward : this._history.back;
+
+        let target = null;
+        for (let i = 0; i < count && from.length > 0; i++) {
+            to.push(target || this._currentLocation());
+            target = from.pop();
+        }
+        if (!target) return false;
+
+        console.log(`🧭 ${direction === 'back' ? 'Back' : 'Forward'} to chapter`, target.chapterIndex, 'word', target.wordIndex);
+        if (target.chapterIndex !== this.currentChapterIndex) {
+            await this.loadChapter(target.chapterIndex);
+        }
+        if (this.reader) {
+            try {
+                this.reader.jumpToWord(target.wordIndex);
+            } catch (error) {
+                console.warn('Could not return to word:', error.message);
+            }
+        }
+
+        this.savePosition();
+        this._updateChapterNavBar();
+        return true;
+    }
+
+    /**
+     * Follow the browser's back/forward buttons through entries pushed by _recordJump()
+     * @private
+     */
+    _handlePopState(e) {
+        const nav = e.state?.cheetahNav;
+        if (!nav || !this.book || nav.bookId !== this.bookId) return;
+
+        const depth = this._history.back.length;
+        if (nav.depth < depth) {
+            this._step('back', depth - nav.depth);
+        } else if (nav.depth > depth) {
+            this._step('forward', nav.depth - depth);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Object|null} { chapterIndex, wordIndex }
+     */
+    _currentLocation() {
+        if (!this.book || this.currentChapterIndex < 0) return null;
+        return {
+            chapterIndex: this.currentChapterIndex,
+            wordIndex: this.reader ? this.reader.getPosition() : 0
+        };
+    }
+
+    // ========================================
+    // NOTES
+    // ========================================
+
+    /**
+     * Show a footnote or endnote in a popover instead of jumping to it
+     * Flow pauses while the note is open and resumes when it closes.
+     * @param {string} href - Note link href (path and/or #anchor)
+     * @param {Object} [options]
+     * @param {string} [options.label] - Link text (e.g. "12")
+     * @param {Object} [options.rect] - Link position on screen ({ top, left, bottom, right, width, height })
+     * @returns {Promise<boolean>} False if the note wasn't found (follow the link instead)
+     */
+    async showNote(href, options = {}) {
+        const [path, anchor] = href.split('#');
+        const chapterIndex = path ? this._findChapterIndex(path) : this.currentChapterIndex;
+        if (!this.book || !anchor || chapterIndex === -1) return false;
+
+        const token = ++this._noteToken;
+
+        // Pause straight away; the notes chapter may still need loading
+        if (!this._note) {
+            const wasPlaying = !!this.reader && this.reader.getState().playing;
+            if (wasPlaying) {
+                this.reader.pause({ source: 'note' });
+            }
+            this._note = { href: null, wasPlaying };
+        }
+
+        let html = null;
+        try {
+            html = await this._noteContent(chapterIndex, anchor);
+        } catch (error) {
+            console.warn('Could not load note:', href, error);
+        }
+
+        // Another note was opened, or this one closed, in the meantime
+        if (token !== this._noteToken) return true;
+
+        if (html === null) {
+            console.warn('❌ Note not found:', href);
+            this.closeNote();
+            return false;
+        }
+
+        this._note.href = href;
+        this._emit('noteOpened', {
+            href,
+            chapterIndex,
+            anchor,
+            label: options.label || '',
+            html,
+            rect: options.rect || null
+        });
+        return true;
+    }
+
+    /**
+     * Close the note popover
+     * @param {Object} [options]
+     * @param {boolean} [options.resume=true] - Resume flow if the note paused it
+     */
+    closeNote({ resume = true } = {}) {
+        this._noteToken++;
+        const note = this._note;
+        if (!note) return;
+
+        this._note = null;
+        if (note.href) {
+            this._emit('noteClosed', { href: note.href });
+        }
+        // Time spent on the note isn't time away from the text, so don't rewind
+        if (resume && note.wasPlaying && this.reader) {
+            this.reader.play({ rewind: false, source: 'note' });
+        }
+    }
+
+    /**
+     * Check if a note popover is open
+     * @returns {boolean}
      */
-    async loadBook(file) {
-        console.log('Loading EPUB:', file.name);
-
-        try {
-            // Clean up previous book
-            this._cleanup();
+    isNoteOpen() {
+        return !!this._note?.href;
+    }
 
-            // ✅ Emit event instead of DOM manipulation
-            this._emit('bookLoadStarted', { filename: file.name });
+    /**
+     * Check if a link points at a footnote or endnote
+     * EPUB 3 books mark note references with epub:type="noteref" (or
+     * role="doc-noteref"). Other books are recognised by a short marker such
+     * as "12", "[3]" or "*" that is superscript or targets a note-like id.
+     * @param {Element} link - <a> element
+     * @returns {boolean}
+     */
+    static isNoteLink(link) {
+        const anchor = (link.getAttribute('href') || '').split('#')[1];
+        if (!anchor) return false;
 
-            // Read file as array buffer
-            const arrayBuffer = await file.arrayBuffer();
+        const types = `${link.getAttribute('epub:type') || ''} ${link.getAttribute('role') || ''}`;
+        if (/(^|\s)(doc-)?noteref(\s|$)/.test(types)) return true;
 
-            // Parse EPUB using ePub.js
-            this.book = ePub(arrayBuffer);
+        const marker = /^[[(]?(\d{1,4}|[a-z]|[*†‡§¶]{1,3})[\])]?\.?$/i.test(link.textContent.trim());
+        if (!marker) return false;
 
-            await this.book.ready;
+        const superscript = !!(link.closest('sup') || link.querySelector('sup'));
+        const noteClass = /footnote|endnote|noteref|fnref/i.test(link.getAttribute('class') || '');
+        const noteTarget = /(^|[^a-z])(fn|ftn|en|note|footnote|endnote)s?[-_.]?\d/i.test(anchor);
 
-            // Update metadata (now emits events)
-            this._updateMetadata();
+        return superscript || noteClass || noteTarget;
+    }
 
-            // Extract chapters (now emits events)
-            await this._extractChapters();
+    /**
+     * Sanitised HTML of the note an anchor points at
+     * @private
+     * @returns {Promise<string|null>} Note HTML, or null if the anchor isn't found
+     */
+    async _noteContent(chapterIndex, anchor) {
+        const content = await this._prepareChapter(chapterIndex);
+        if (content === null) return null;
 
-            // ✅ Emit success event
-            this._emit('bookLoaded', {
-                filename: file.name,
-                chapterCount: this.chapters.length
-            });
+        const doc = new DOMParser().parseFromString(content, 'text/html');
+        const note = EPUBService._noteElement(doc, anchor);
+        if (!note) return null;
 
-            // Load first chapter
-            if (this.chapters.length > 0) {
-                await this.loadChapter(0);
-            }
+        // The copy mustn't take over ids from the chapter on screen
+        note.removeAttribute('id');
+        note.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
 
-            console.log('EPUB loaded successfully');
-        } catch (error) {
-            console.error('Failed to load EPUB:', error);
+        const html = note.innerHTML.trim();
+        return html && note.textContent.trim() ? html : null;
+    }
 
-            // ✅ Emit error event instead of alert
-            this._emit('epubError', {
-                code: 'LOAD_FAILED',
-                message: 'Failed to load EPUB file. Please check the file format.',
-                details: error.message
-            });
+    /**
+     * Element holding a note
+     * Anchors are often an empty or inline marker at the start of the note's
+     * paragraph, so those give way to their enclosing block.
+     * @private
+     */
+    static _noteElement(doc, anchor) {
+        const escaped = CSS.escape(anchor);
+        const target = doc.querySelector(`[id="${escaped}"], [name="${escaped}"]`);
+        if (!target) return null;
+
+        const inline = ['A', 'SPAN', 'SUP', 'SUB', 'B', 'I', 'EM', 'STRONG'].includes(target.tagName);
+        if (inline || !target.textContent.trim()) {
+            return target.closest('p, li, aside, section, div, blockquote') || target;
         }
+        return target;
     }
 
+    // ========================================
+    // BOOKMARKS
+    // ========================================
+
     /**
-     * Extract and emit book metadata
-     * ✅ REFACTORED: No DOM manipulation, emits event instead
+     * Bookmark the current reading position
+     * @returns {Object|null} The bookmark, or null if no book is open
      */
-    _updateMetadata() {
-        const metadata = this.book.packaging.metadata;
+    addBookmark() {
+        if (!this.bookData || !this.bookId || !this.reader || this.currentChapterIndex < 0) {
+            return null;
+        }
 
-        const metadataData = {
-            title: metadata.title || 'Unknown Title',
-            author: metadata.creator || 'Unknown Author',
-            publisher: metadata.publisher || '',
-            language: metadata.language || '',
-            publicationDate: metadata.pubdate || '',
-            description: metadata.description || '',
-            rights: metadata.rights || ''
+        const wordIndex = this.reader.getPosition();
+        const bookmark = {
+            id: `bm-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            chapterIndex: this.currentChapterIndex,
+            wordIndex,
+            snippet: this.reader.getTextAt(wordIndex),
+            createdAt: Date.now()
         };
 
-        // ✅ Emit event for UI to handle
-        this._emit('metadataUpdated', metadataData);
+        const bookmarks = this.getBookmarks();
+        bookmarks.push(bookmark);
+        bookmarks.sort((a, b) => a.chapterIndex - b.chapterIndex || a.wordIndex - b.wordIndex);
+        this._saveBookmarks(bookmarks);
 
-        console.log('Metadata:', metadataData);
+        console.log('🔖 Bookmark added:', bookmark);
+        return { ...bookmark };
     }
 
     /**
-     * Extract chapters from EPUB table of contents
-     * ✅ REFACTORED: No DOM manipulation, emits event instead
+     * Remove a bookmark
+     * @param {string} id - Bookmark id
+     * @returns {boolean} True if a bookmark was removed
      */
-    async _extractChapters() {
-        this.chapters = [];
+    removeBookmark(id) {
+        const bookmarks = this.getBookmarks();
+        const remaining = bookmarks.filter(b => b.id !== id);
+        if (remaining.length === bookmarks.length) return false;
 
-        const toc = await this.book.loaded.navigation.then(nav => nav.toc);
+        this._saveBookmarks(remaining);
+        return true;
+    }
 
-        if (!toc || toc.length === 0) {
-            console.warn('No chapters found in EPUB');
+    /**
+     * Get bookmarks for the current book, in reading order
+     * @returns {Array<Object>} [{ id, chapterIndex, wordIndex, snippet, createdAt }]
+     */
+    getBookmarks() {
+        const bookmarks = this.bookData?.get(this.bookId, 'bookmarks');
+        return Array.isArray(bookmarks) ? bookmarks.map(b => ({ ...b })) : [];
+    }
 
-            // ✅ Emit event for empty chapters
-            this._emit('chaptersExtracted', {
-                chapters: [],
-                isEmpty: true
-            });
+    /**
+     * Load a bookmark's chapter and move to its word
+     * @param {string} id - Bookmark id
+     */
+    async goToBookmark(id) {
+        const bookmark = this.getBookmarks().find(b => b.id === id);
+        if (!bookmark) {
+            console.warn('Bookmark not found:', id);
             return;
         }
+        this._recordJump();
+        await this.goToPosition(bookmark.chapterIndex, bookmark.wordIndex);
+    }
 
-        // Process each chapter
-        for (let i = 0; i < toc.length; i++) {
-            const item = toc[i];
-
-            this.chapters.push({
-                id: item.id,
-                href: item.href,
-                label: item.label,
-                index: i
-            });
-        }
-
-        console.log(`Extracted ${this.chapters.length} chapters`);
+    /**
+     * @private
+     */
+    _saveBookmarks(bookmarks) {
+        this.bookData.set(this.bookId, 'bookmarks', bookmarks);
+        this._emitBookmarks();
+    }
 
-        // ✅ Emit event with chapters data
-        this._emit('chaptersExtracted', {
-            chapters: this.chapters.map(ch => ({ ...ch })), // Return copy
-            isEmpty: false
+    /**
+     * @private
+     */
+    _emitBookmarks() {
+        this._emit('bookmarksChanged', {
+            bookmarks: this.getBookmarks().map(b => ({
+                ...b,
+                chapterLabel: this.chapters[b.chapterIndex]?.label || ''
+            }))
         });
     }
 
     /**
-     * ✅ REMOVED: _createChapterElement - UI layer handles DOM creation now
-     * The UI will subscribe to 'chaptersExtracted' event and create elements
+     * Save on pause, jumps, scrolling (throttled) and when the page is hidden
+     * @private
      */
+    _setupPositionTracking() {
+        if (!this.reader) return;
+
+        const scheduleSave = () => {
+            if (this._saveTimer) return;
+            this._saveTimer = setTimeout(() => this.savePosition(), 2000);
+        };
+
+        this._unsubscribers.push(
+            this.reader.on('onPlayChange', (playing) => {
+                if (playing) {
+                    // Starting to read here answers the resume offer
+                    this.dismissResume();
+                } else {
+                    this.savePosition();
+                }
+            }),
+            this.reader.on('onWordJump', scheduleSave)
+        );
+
+        const readerArea = this.reader.el?.reader;
+        if (readerArea) {
+            readerArea.addEventListener('scroll', scheduleSave, { passive: true });
+            this._unsubscribers.push(() => readerArea.removeEventListener('scroll', scheduleSave));
+        }
+
+        const saveNow = () => this.savePosition();
+        const saveIfHidden = () => {
+            if (document.visibilityState === 'hidden') this.savePosition();
+        };
+        window.addEventListener('pagehide', saveNow);
+        document.addEventListener('visibilitychange', saveIfHidden);
+        this._unsubscribers.push(
+            () => window.removeEventListener('pagehide', saveNow),
+            () => document.removeEventListener('visibilitychange', saveIfHidden)
+        );
+    }
 
     /**
-     * Load a specific chapter by index
+     * Prefetch and pre-process a chapter in the background
+     * Also asks the reader to pre-wrap its words for the current mode
+     * @param {number} index - Chapter index
+     * @returns {Promise<string|null>} Prepared content
      */
-    async loadChapter(index, wasPlaying) {
+    prefetchChapter(index) {
         if (!this.book || index < 0 || index >= this.chapters.length) {
-            console.error('Invalid chapter index:', index);
-            return;
+            return Promise.resolve(null);
         }
 
-        try {
-            console.log('Loading chapter:', index, this.chapters[index].label);
+        const book = this.book;
+        return this._prepareChapter(index).then(content => {
+            // Ignore results for a book that has since been closed
+            if (content && this.book === book && this.reader && this.reader.preloadContent) {
+                this.reader.preloadContent(content);
+            }
+            return content;
+        }).catch(error => {
+            console.warn('Chapter prefetch failed:', index, error);
+            return null;
+        });
+    }
 
-            const chapter = this.chapters[index];
+    /**
+     * Schedule a prefetch once the current chapter has settled
+     * @private
+     * @param {number} index - Chapter index, or -1 for none
+     */
+    _schedulePrefetch(index) {
+        clearTimeout(this._prefetchTimer);
+
+        // Only keep the chapters around the current one (and the one coming up)
+        for (const key of this._prepared.keys()) {
+            if (Math.abs(key - this.currentChapterIndex) > 1 && key !== index) {
+                this._prepared.delete(key);
+            }
+        }
+
+        if (index === -1 || index >= this.chapters.length) return;
+
+        this._prefetchTimer = setTimeout(() => {
+            this._prefetchTimer = null;
+            const run = () => this.prefetchChapter(index);
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(run, { timeout: 2000 });
+            } else {
+                run();
+            }
+        }, 500);
+    }
+
+    /**
+     * Load, extract, process images and sanitise a chapter (cached per index)
+     * @private
+     * @returns {Promise<string|null>} Content, or null if the section is missing
+     */
+    _prepareChapter(index) {
+        if (this._prepared.has(index)) {
+            return this._prepared.get(index);
+        }
 
+        const chapter = this.chapters[index];
+        const promise = (async () => {
             // Get chapter section from spine
             const section = this.book.spine.get(chapter.href);
-            if (!section) {
-                console.error('Chapter section not found:', chapter.href);
-                return;
-            }
+            if (!section) return null;
 
             // Load the section
             await section.load(this.book.load.bind(this.book));
@@ -224,54 +1422,17 @@ class EPUBService {
             content = await this._processImages(content, chapter.href);
 
             // Clean content
-            content = this._cleanContent(content);
-
-            // Update current chapter
-            this.currentChapterIndex = index;
-            this._updateActiveChapter(index);
-            
-            // Update navigation bar buttons
-            this._updateChapterNavBar();
-
-            // Load content into reader
-            if (this.reader) {
-                const currentState = this.reader.getState();
-                const shouldPlay = wasPlaying !== undefined ? wasPlaying : currentState.playing;
-                
-                if (shouldPlay) {
-                    this.reader.pause();
-                }
-                
-                this.reader.loadContent(content);
-                
-                // Reset scroll
-                setTimeout(() => {
-                    const readerArea = document.querySelector('.ebook-reader-area');
-                    if (readerArea) {
-                        readerArea.scrollTop = 0;
-                    }
-                }, 50);
-                
-                // Resume if was playing
-                if (shouldPlay && currentState.mode === 'flow') {
-                    setTimeout(() => {
-                        this.reader.play();
-                    }, 300);
-                }
-            }
-
-            // FIXED: Attach link handlers after content is fully rendered
-            // Wait for the next animation frame to ensure DOM is ready
-            requestAnimationFrame(() => {
-                requestAnimationFrame(() => {
-                    this._attachLinkHandlers();
-                });
-            });
+            return this._cleanContent(content);
+        })();
+
+        this._prepared.set(index, promise);
+        promise.then(content => {
+            if (content === null) this._prepared.delete(index);
+        }, () => {
+            this._prepared.delete(index);
+        });
 
-        } catch (error) {
-            console.error('Failed to load chapter:', error);
-            alert('Failed to load chapter. The file may be corrupted.');
-        }
+        return promise;
     }
 
     /**
@@ -468,8 +1629,10 @@ class EPUBService {
         return DOMPurify.sanitize(content, {
             ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'b', 'i', 'u', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 
                            'span', 'div', 'img', 'a', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
-                           'table', 'thead', 'tbody', 'tr', 'td', 'th', 'figure', 'figcaption'],
-            ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'id', 'style', 'role'],
+                           'table', 'thead', 'tbody', 'tr', 'td', 'th', 'figure', 'figcaption',
+                           'sup', 'sub', 'aside', 'section'],
+            // epub:type marks note references and notes
+            ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'id', 'style', 'role', 'epub:type'],
             ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp|blob):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i,
             KEEP_CONTENT: true
         });
@@ -479,13 +1642,14 @@ class EPUBService {
      * Update active chapter
      * ✅ REFACTORED: No DOM manipulation, emits event instead
      */
-    _updateActiveChapter(index) {
+    _updateActiveChapter(index, anchor = null) {
         // ✅ Emit event with chapter change data
         this._emit('chapterChanged', {
             index: index,
+            anchor: anchor || null,
             title: this.chapters[index]?.label || '',
             isFirst: index === 0,
-            isLast: index >= this.chapters.length - 1,
+            isLast: this._nextChapterIndex(index) === -1,
             totalChapters: this.chapters.length
         });
 
@@ -519,7 +1683,21 @@ class EPUBService {
                     e.preventDefault();
                     e.stopPropagation();
                     console.log(`🔗 Internal link clicked [${index}]:`, href);
-                    this._handleInternalLink(href);
+
+                    if (!EPUBService.isNoteLink(link)) {
+                        this.closeNote({ resume: false });
+                        this._handleInternalLink(href);
+                        return;
+                    }
+
+                    // Notes open in a popover; follow the link if the note can't be found
+                    const { top, left, bottom, right, width, height } = link.getBoundingClientRect();
+                    this.showNote(href, {
+                        label: link.textContent.trim(),
+                        rect: { top, left, bottom, right, width, height }
+                    }).then(shown => {
+                        if (!shown) this._handleInternalLink(href);
+                    });
                 });
             }
         });
@@ -541,54 +1719,12 @@ class EPUBService {
         if (path && path.length > 0) {
             console.log('Looking for chapter with path:', path);
             
-            // Try multiple matching strategies to find the chapter
-            let chapterIndex = -1;
-            
-            // Strategy 1: Exact match
-            chapterIndex = this.chapters.findIndex(ch => ch.href === path);
-            
-            // Strategy 2: Match with .xhtml extension
-            if (chapterIndex === -1) {
-                chapterIndex = this.chapters.findIndex(ch => ch.href === path + '.xhtml');
-            }
-            
-            // Strategy 3: Match with .html extension
-            if (chapterIndex === -1) {
-                chapterIndex = this.chapters.findIndex(ch => ch.href === path + '.html');
-            }
-            
-            // Strategy 4: Match without leading directory
-            if (chapterIndex === -1) {
-                const pathFilename = path.split('/').pop();
-                chapterIndex = this.chapters.findIndex(ch => {
-                    const chapterFilename = ch.href.split('/').pop();
-                    return chapterFilename === pathFilename;
-                });
-            }
-            
-            // Strategy 5: Match chapter href ends with path
-            if (chapterIndex === -1) {
-                chapterIndex = this.chapters.findIndex(ch => ch.href.endsWith(path));
-            }
-            
-            // Strategy 6: Match path ends with chapter href
-            if (chapterIndex === -1) {
-                chapterIndex = this.chapters.findIndex(ch => path.endsWith(ch.href));
-            }
+            const chapterIndex = this._findChapterIndex(path);
             
             if (chapterIndex !== -1) {
                 console.log(`✅ Found chapter at index ${chapterIndex}`);
-                // Store anchor to scroll to after chapter loads
-                if (anchor) {
-                    // Scroll to anchor after chapter loads
-                    this.loadChapter(chapterIndex).then(() => {
-                        setTimeout(() => {
-                            this._scrollToAnchor(anchor);
-                        }, 300);
-                    });
-                } else {
-                    this.loadChapter(chapterIndex);
-                }
+                // Move to the link's anchor (or the top) once the chapter loads
+                this.loadChapter(chapterIndex, undefined, { anchor, history: true });
                 return;
             } else {
                 console.warn('❌ No matching chapter found for path:', path);
@@ -598,42 +1734,115 @@ class EPUBService {
         // Case 2: No path, just anchor - scroll within current chapter
         if (anchor) {
             console.log('Scrolling to anchor within current chapter:', anchor);
+            this._recordJump();
             this._scrollToAnchor(anchor);
         }
     }
 
+    /**
+     * Find the chapter a link path points at
+     * @private
+     * @param {string} path - Href without the #anchor
+     * @returns {number} Chapter index, or -1
+     */
+    _findChapterIndex(path) {
+        // Try multiple matching strategies to find the chapter
+
+        // Strategy 1: Exact match
+        let chapterIndex = this.chapters.findIndex(ch => ch.href === path);
+        
+        // Strategy 2: Match with .xhtml extension
+        if (chapterIndex === -1) {
+            chapterIndex = this.chapters.findIndex(ch => ch.href === path + '.xhtml');
+        }
+        
+        // Strategy 3: Match with .html extension
+        if (chapterIndex === -1) {
+            chapterIndex = this.chapters.findIndex(ch => ch.href === path + '.html');
+        }
+        
+        // Strategy 4: Match without leading directory
+        if (chapterIndex === -1) {
+            const pathFilename = path.split('/').pop();
+            chapterIndex = this.chapters.findIndex(ch => {
+                const chapterFilename = ch.href.split('/').pop();
+                return chapterFilename === pathFilename;
+            });
+        }
+        
+        // Strategy 5: Match chapter href ends with path
+        if (chapterIndex === -1) {
+            chapterIndex = this.chapters.findIndex(ch => ch.href.endsWith(path));
+        }
+        
+        // Strategy 6: Match path ends with chapter href
+        if (chapterIndex === -1) {
+            chapterIndex = this.chapters.findIndex(ch => path.endsWith(ch.href));
+        }
+
+        return chapterIndex;
+    }
+
     /**
      * Scroll to an anchor element
+     * Moves the reader to the anchor's first word when it has one, so flow
+     * and RSVP also continue from there.
      * @param {string} anchor - ID of element to scroll to
      */
     _scrollToAnchor(anchor) {
         console.log('Attempting to scroll to anchor:', anchor);
         
-        // Try finding by ID
-        let element = document.getElementById(anchor);
+        const contentArea = document.querySelector('.ebook-text-content');
+        const selector = `[id="${CSS.escape(anchor)}"], [name="${CSS.escape(anchor)}"]`;
+
+        // Look in the chapter first; ids elsewhere on the page may collide
+        let element = contentArea ? contentArea.querySelector(selector) : null;
         
-        // If not found by ID, try finding by name attribute (older HTML)
         if (!element) {
-            element = document.querySelector(`[name="${anchor}"]`);
+            element = document.getElementById(anchor) || document.querySelector(selector);
         }
         
-        // If still not found, try finding within the content area
         if (!element) {
-            const contentArea = document.querySelector('.ebook-text-content');
-            if (contentArea) {
-                element = contentArea.querySelector(`#${anchor}, [name="${anchor}"]`);
+            console.warn('❌ Anchor element not found:', anchor);
+            return;
+        }
+
+        const wordIndex = contentArea && contentArea.contains(element)
+            ? this._anchorWordIndex(contentArea, element)
+            : -1;
+
+        if (wordIndex !== -1 && this.reader) {
+            try {
+                this.reader.jumpToWord(wordIndex);
+                console.log('✅ Moved to anchor word', wordIndex);
+                return;
+            } catch (error) {
+                console.warn('Could not move to anchor word:', error.message);
             }
         }
-        
-        if (element) {
-            console.log('✅ Found anchor element, scrolling...');
-            element.scrollIntoView({ 
-                behavior: 'smooth',
-                block: 'start'
-            });
-        } else {
-            console.warn('❌ Anchor element not found:', anchor);
+
+        console.log('✅ Found anchor element, scrolling...');
+        element.scrollIntoView({ 
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    /**
+     * First word in or after an anchor element (anchors are often empty <a id>)
+     * @private
+     * @returns {number} Word index, or -1
+     */
+    _anchorWordIndex(contentArea, element) {
+        let word = element.querySelector('.flow-word');
+
+        if (!word) {
+            word = Array.from(contentArea.querySelectorAll('.flow-word')).find(el =>
+                element.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING
+            );
         }
+
+        return word ? parseInt(word.dataset.wordIndex, 10) : -1;
     }
 
     /**
@@ -644,8 +1853,10 @@ class EPUBService {
         // ✅ Emit event with navigation state
         this._emit('navigationStateChanged', {
             visible: this.chapters.length > 0,
-            hasPrev: this.currentChapterIndex > 0,
-            hasNext: this.currentChapterIndex < this.chapters.length - 1,
+            hasPrev: this._previousChapterIndex() !== -1,
+            hasNext: this._nextChapterIndex() !== -1,
+            canGoBack: this.canGoBack(),
+            canGoForward: this.canGoForward(),
             currentIndex: this.currentChapterIndex,
             totalChapters: this.chapters.length
         });
@@ -654,18 +1865,43 @@ class EPUBService {
     /**
      * Navigate to next chapter
      */
-    nextChapter() {
-        if (this.currentChapterIndex < this.chapters.length - 1) {
-            return this.loadChapter(this.currentChapterIndex + 1, this.reader?.getState().playing);
+    nextChapter(options = {}) {
+        const next = this._nextChapterIndex();
+        if (next !== -1) {
+            return this.loadChapter(next, this.reader?.getState().playing, options);
+        }
+    }
+
+    /**
+     * Index of the next chapter in reading order (skips linear="no" sections)
+     * @private
+     * @param {number} [from] - Chapter index (default: current)
+     * @returns {number} Chapter index, or -1 at the end of the book
+     */
+    _nextChapterIndex(from = this.currentChapterIndex) {
+        if (from < 0) return -1;
+        return this.chapters.findIndex((ch, i) => i > from && ch.linear);
+    }
+
+    /**
+     * Index of the previous chapter in reading order (skips linear="no" sections)
+     * @private
+     * @returns {number} Chapter index, or -1 at the start of the book
+     */
+    _previousChapterIndex(from = this.currentChapterIndex) {
+        for (let i = from - 1; i >= 0; i--) {
+            if (this.chapters[i].linear) return i;
         }
+        return -1;
     }
 
     /**
      * Navigate to previous chapter
      */
     previousChapter() {
-        if (this.currentChapterIndex > 0) {
-            return this.loadChapter(this.currentChapterIndex - 1, this.reader?.getState().playing);
+        const previous = this._previousChapterIndex();
+        if (previous !== -1) {
+            return this.loadChapter(previous, this.reader?.getState().playing);
         }
     }
 
@@ -681,12 +1917,39 @@ class EPUBService {
      * Full cleanup
      */
     _cleanup() {
+        // Keep the place in the book being closed
+        this.savePosition();
+        this._pendingResume = null;
+        this._positionReady = false;
+
         this.imageCache.forEach(url => URL.revokeObjectURL(url));
         this.imageCache.clear();
+        if (this._cover) {
+            URL.revokeObjectURL(this._cover.url);
+            this._cover = null;
+        }
+        this._prepared.clear();
+        clearTimeout(this._prefetchTimer);
+        this._prefetchTimer = null;
+        clearTimeout(this._searchIndexTimer);
+        this._searchIndexTimer = null;
+        if (this._search) {
+            this.clearSearch();
+        }
+        this.closeNote({ resume: false });
+        this._history = { back: [], forward: [] };
+
+        // Views showing the book (title, cover) go back to their empty state
+        if (this.book) {
+            this._emit('bookClosed', { bookId: this.bookId });
+        }
         
         this.book = null;
+        this.bookId = null;
         this.chapters = [];
+        this.toc = [];
         this.currentChapterIndex = -1;
+        this._emitBookmarks();
         
         // Hide chapter navigation bar
         const navBar = document.getElementById('chapter-nav-bar');
@@ -695,11 +1958,26 @@ class EPUBService {
         }
     }
 
+    /**
+     * Close the current book (e.g. when pasted text replaces it)
+     */
+    closeBook() {
+        if (this.book) {
+            this._cleanup();
+        }
+    }
+
     /**
      * Destroy service
      */
     destroy() {
         this._cleanup();
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+        if (this._popStateHandler) {
+            window.removeEventListener('popstate', this._popStateHandler);
+            this._popStateHandler = null;
+        }
         this.reader = null;
     }
 }
@@ -0,0 +1,324 @@
+/**
+ * KeymapService v1.0.0
+ * Keyboard shortcuts for CheetahReaderApp actions
+ *
+ * Bindings live in StateManager under 'keymap' (action → list of key
+ * combos like 'Space', 'ArrowUp' or 'Ctrl+b'), so they are remappable and
+ * saved by SettingsPersistence.
+ *
+ * Keys are only listened for on an explicit target (e.g. document), so
+ * embedding the reader doesn't take over the page's keyboard.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class KeymapService {
+    static DEFAULT_BINDINGS = {
+        togglePlay: ['Space'],
+        speedUp: ['ArrowUp'],
+        speedDown: ['ArrowDown'],
+        focusWider: [']'],
+        focusNarrower: ['['],
+        nextChapter: ['PageDown'],
+        previousChapter: ['PageUp'],
+        navigateBack: ['Alt+ArrowLeft'],
+        navigateForward: ['Alt+ArrowRight'],
+        sentenceBack: ['ArrowLeft'],
+        toggleBionic: ['b'],
+        addBookmark: ['m'],
+        fontLarger: ['=', '+'],
+        fontSmaller: ['-'],
+        undo: ['Ctrl+z', 'Meta+z'],
+        redo: ['Ctrl+y', 'Ctrl+Shift+z', 'Shift+Meta+z']
+    };
+
+    static SPEED_STEP = 25;
+    static FONT_STEP = 2;
+
+    /**
+     * @param {CheetahReaderApp} app - App to run actions on
+     * @param {StateManager} stateManager - Holds the 'keymap' bindings
+     * @param {EventTarget|null} [target] - Where to listen for keys (none if null)
+     */
+    constructor(app, stateManager, target = null) {
+        this.app = app;
+        this.stateManager = stateManager;
+        this.target = target;
+        this.enabled = true;
+
+        // Pending recordKeyBinding() capture
+        this._capture = null;
+
+        this.actions = this._createActions();
+
+        this._keydownHandler = (e) => this._handleKeydown(e);
+        if (this.target) {
+            this.target.addEventListener('keydown', this._keydownHandler);
+        }
+
+        console.log('KeymapService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Action table. run() returns false when the action doesn't apply,
+     * so the key keeps its default browser behaviour.
+     * @private
+     */
+    _createActions() {
+        const app = this.app;
+        const settings = () => app.getCurrentSettings();
+        const hasChapters = () => app.getChapters().length > 0;
+        // In normal mode arrows and Space scroll the page instead
+        const isPaged = () => app.getReaderState()?.mode === 'normal';
+
+        return {
+            togglePlay: {
+                label: 'Play / pause',
+                run: () => isPaged() ? false : app.togglePlay()
+            },
+            speedUp: {
+                label: 'Speed up',
+                repeat: true,
+                run: () => isPaged() ? false : app.setSpeed(settings().flow.speed + KeymapService.SPEED_STEP)
+            },
+            speedDown: {
+                label: 'Slow down',
+                repeat: true,
+                run: () => isPaged() ? false : app.setSpeed(settings().flow.speed - KeymapService.SPEED_STEP)
+            },
+            focusWider: {
+                label: 'Wider focus',
+                run: () => app.setFocusWidth(settings().flow.focusWidth + 1)
+            },
+            focusNarrower: {
+                label: 'Narrower focus',
+                run: () => app.setFocusWidth(settings().flow.focusWidth - 1)
+            },
+            nextChapter: {
+                label: 'Next chapter',
+                run: () => hasChapters() ? app.nextChapter() : false
+            },
+            previousChapter: {
+                label: 'Previous chapter',
+                run: () => hasChapters() ? app.previousChapter() : false
+            },
+            navigateBack: {
+                label: 'Back to before the last jump',
+                run: () => app.canGoBack() ? app.goBack() : false
+            },
+            navigateForward: {
+                label: 'Forward again',
+                run: () => app.canGoForward() ? app.goForward() : false
+            },
+            sentenceBack: {
+                label: 'Back one sentence',
+                repeat: true,
+                run: () => isPaged() ? false : app.jumpBackSentence()
+            },
+            toggleBionic: {
+                label: 'Toggle BioVision',
+                run: () => app.toggleBionic()
+            },
+            addBookmark: {
+                label: 'Add bookmark',
+                run: () => app.addBookmark() !== null
+            },
+            fontLarger: {
+                label: 'Larger text',
+                repeat: true,
+                run: () => app.setFontSize(Math.min(48, settings().fontSize + KeymapService.FONT_STEP))
+            },
+            fontSmaller: {
+                label: 'Smaller text',
+                repeat: true,
+                run: () => app.setFontSize(Math.max(12, settings().fontSize - KeymapService.FONT_STEP))
+            },
+            undo: {
+                label: 'Undo setting change',
+                repeat: true,
+                run: () => app.undo()
+            },
+            redo: {
+                label: 'Redo setting change',
+                repeat: true,
+                run: () => app.redo()
+            }
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Get current bindings
+     * @returns {Object} action → array of key combos
+     */
+    getBindings() {
+        return KeymapService.mergeBindings(this.stateManager.get('keymap'));
+    }
+
+    /**
+     * Replace the keys bound to an action
+     * Keys taken from other actions are removed from them
+     * @param {string} action - Action name
+     * @param {string|Array<string>} keys - Key combo(s), empty to unbind
+     */
+    setBinding(action, keys) {
+        if (!this.actions[action]) {
+            throw new Error(`Unknown keymap action: ${action}`);
+        }
+
+        const combos = (Array.isArray(keys) ? keys : [keys]).filter(Boolean);
+        const bindings = this.getBindings();
+
+        for (const name of Object.keys(bindings)) {
+            bindings[name] = bindings[name].filter(combo => !combos.includes(combo));
+        }
+        bindings[action] = combos;
+
+        this.stateManager.set('keymap', bindings);
+    }
+
+    /**
+     * Restore default bindings
+     */
+    resetBindings() {
+        this.stateManager.set('keymap', KeymapService.mergeBindings());
+    }
+
+    /**
+     * Wait for the next key combo instead of running an action
+     * Escape cancels (resolves null)
+     * @returns {Promise<string|null>}
+     */
+    record() {
+        if (this._capture) {
+            this._capture(null);
+        }
+        return new Promise(resolve => {
+            this._capture = (combo) => {
+                this._capture = null;
+                resolve(combo);
+            };
+        });
+    }
+
+    /**
+     * Fill in defaults for actions missing from saved bindings
+     * @param {Object} [saved] - Saved bindings
+     * @returns {Object} Fresh bindings object
+     */
+    static mergeBindings(saved) {
+        const merged = {};
+        for (const [action, keys] of Object.entries(KeymapService.DEFAULT_BINDINGS)) {
+            const savedKeys = saved && Array.isArray(saved[action]) ? saved[action] : null;
+            merged[action] = [...(savedKeys || keys)];
+        }
+        return merged;
+    }
+
+    /**
+     * Turn a keydown event into a combo string ('Ctrl+Shift+ArrowUp', 'b', 'Space')
+     * Shift is only listed for named keys - for characters it is already in e.key -
+     * and for Ctrl/Meta shortcuts, where letters are lowercased ('Ctrl+Shift+z')
+     * @param {KeyboardEvent} e
+     * @returns {string|null} Combo, or null for bare modifier presses
+     */
+    static normalize(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+
+        const key = e.key === ' ' ? 'Space'
+            : e.key.length === 1 ? e.key.toLowerCase()
+            : e.key;
+
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && (e.key.length > 1 || e.ctrlKey || e.metaKey)) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * @private
+     */
+    _handleKeydown(e) {
+        const combo = KeymapService.normalize(e);
+        if (!combo) return;
+
+        if (this._capture) {
+            e.preventDefault();
+            e.stopPropagation();
+            this._capture(combo === 'Escape' ? null : combo);
+            return;
+        }
+
+        if (!this.enabled || this._isTyping(e.target, combo)) return;
+
+        const bindings = this.getBindings();
+        const action = Object.keys(bindings).find(name => bindings[name].includes(combo));
+        if (!action) return;
+
+        const { run, repeat } = this.actions[action];
+        if (e.repeat && !repeat) {
+            e.preventDefault();
+            return;
+        }
+
+        if (run() !== false) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Don't steal keys from form fields
+     * Sliders and selects keep their plain keys but let Ctrl/Cmd shortcuts
+     * through, so undo works right after dragging a slider.
+     * @private
+     */
+    _isTyping(el, combo = '') {
+        if (!el || !el.tagName) return false;
+        if (el.isContentEditable) return true;
+
+        const shortcut = /^(Ctrl|Meta)\+/.test(combo);
+        if (el.tagName === 'INPUT') {
+            if (el.type === 'checkbox') return false;
+            return el.type === 'range' ? !shortcut : true;
+        }
+        if (el.tagName === 'SELECT') return !shortcut;
+        return el.tagName === 'TEXTAREA';
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        if (this.target) {
+            this.target.removeEventListener('keydown', this._keydownHandler);
+        }
+        if (this._capture) {
+            this._capture(null);
+        }
+        this.app = null;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeymapService;
+}
+if (typeof window !== 'undefined') {
+    window.KeymapService = KeymapService;
+}
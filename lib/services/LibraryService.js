@@ -0,0 +1,283 @@
+/**
+ * LibraryService v1.0.0
+ * Local bookshelf: imported EPUB files, metadata and covers in IndexedDB
+ *
+ * Books are keyed by the same book id EPUBService uses for per-book data,
+ * so removing a book from the shelf also purges its positions, bookmarks
+ * and annotations from BookDataService.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class LibraryService {
+    static DB_NAME = 'cheetah-reader-library';
+    static DB_VERSION = 1;
+    static STORE = 'books';
+    static SORTS = ['lastOpened', 'title', 'author', 'progress'];
+
+    constructor(bookData, options = {}) {
+        this.bookData = bookData;
+        this.dbName = options.dbName || LibraryService.DB_NAME;
+
+        this._dbPromise = null;
+        this._callbacks = {};
+
+        console.log('LibraryService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // EVENT SYSTEM
+    // ========================================
+
+    /**
+     * Subscribe to an event
+     *
+     * Available events:
+     * - 'libraryChanged' - { bookId, action } ('added', 'updated', 'removed')
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return;
+        const index = this._callbacks[event].indexOf(callback);
+        if (index > -1) {
+            this._callbacks[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+        if (this._callbacks[event]) {
+            this._callbacks[event].forEach(cb => {
+                try {
+                    cb(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Add a book to the shelf (or refresh it) and mark it as just opened
+     * @param {Blob} file - The EPUB file
+     * @param {Object} info - { bookId, title, author, chapterCount, cover }
+     * @returns {Promise<Object>} Stored entry (without the file)
+     */
+    async addBook(file, info) {
+        if (!info?.bookId) {
+            throw new Error('A book id is required');
+        }
+
+        const existing = await this._get(info.bookId);
+        const now = Date.now();
+        const record = {
+            bookId: info.bookId,
+            title: info.title || file.name || 'Untitled',
+            author: info.author || '',
+            filename: file.name || existing?.filename || 'book.epub',
+            size: file.size,
+            chapterCount: info.chapterCount || 0,
+            cover: info.cover || existing?.cover || null,
+            file,
+            addedAt: existing?.addedAt || now,
+            lastOpenedAt: now
+        };
+
+        await this._put(record);
+        this._emit('libraryChanged', { bookId: record.bookId, action: existing ? 'updated' : 'added' });
+
+        console.log(`📚 ${existing ? 'Updated' : 'Added'} in library:`, record.title);
+        return this._toEntry(record);
+    }
+
+    /**
+     * List the shelf
+     * @param {string} [sortBy='lastOpened'] - 'lastOpened', 'title', 'author' or 'progress'
+     * @returns {Promise<Array<Object>>} [{ bookId, title, author, filename, size, chapterCount,
+     *   cover, addedAt, lastOpenedAt, progress }] (progress 0-1)
+     */
+    async listBooks(sortBy = 'lastOpened') {
+        const records = await this._getAll();
+        const entries = records.map(record => this._toEntry(record));
+
+        const byText = field => (a, b) =>
+            (a[field] || '').localeCompare(b[field] || '', undefined, { sensitivity: 'base' });
+
+        const comparators = {
+            lastOpened: (a, b) => b.lastOpenedAt - a.lastOpenedAt,
+            title: byText('title'),
+            author: (a, b) => byText('author')(a, b) || byText('title')(a, b),
+            progress: (a, b) => b.progress - a.progress
+        };
+
+        return entries.sort(comparators[sortBy] || comparators.lastOpened);
+    }
+
+    /**
+     * Get a stored EPUB, ready for EPUBService.loadBook()
+     * @param {string} bookId - Book id
+     * @returns {Promise<File|null>}
+     */
+    async getFile(bookId) {
+        const record = await this._get(bookId);
+        if (!record) return null;
+
+        return record.file instanceof File
+            ? record.file
+            : new File([record.file], record.filename, { type: 'application/epub+zip' });
+    }
+
+    /**
+     * Check if a book is on the shelf
+     * @param {string} bookId - Book id
+     * @returns {Promise<boolean>}
+     */
+    async hasBook(bookId) {
+        return !!(await this._get(bookId));
+    }
+
+    /**
+     * Remove a book and everything stored for it
+     * @param {string} bookId - Book id
+     * @returns {Promise<boolean>} True if the book was on the shelf
+     */
+    async removeBook(bookId) {
+        const existed = await this.hasBook(bookId);
+
+        await this._transaction('readwrite', store => store.delete(bookId));
+        this.bookData?.removeBook(bookId);
+
+        if (existed) {
+            this._emit('libraryChanged', { bookId, action: 'removed' });
+            console.log('🗑️ Removed from library:', bookId);
+        }
+        return existed;
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Entry without the file blob, with reading progress from the saved position
+     * @private
+     */
+    _toEntry(record) {
+        const { file, ...entry } = record;
+        const position = this.bookData?.get(record.bookId, 'position');
+
+        entry.progress = position && record.chapterCount > 0
+            ? Math.min(1, position.chapterIndex / record.chapterCount)
+            : 0;
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    _openDB() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, LibraryService.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(LibraryService.STORE)) {
+                    db.createObjectStore(LibraryService.STORE, { keyPath: 'bookId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry after a failed open
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction
+     * @private
+     */
+    async _transaction(mode, run) {
+        const db = await this._openDB();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(LibraryService.STORE, mode);
+            const request = run(tx.objectStore(LibraryService.STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _get(bookId) {
+        return this._transaction('readonly', store => store.get(bookId));
+    }
+
+    /**
+     * @private
+     */
+    _getAll() {
+        return this._transaction('readonly', store => store.getAll());
+    }
+
+    /**
+     * @private
+     */
+    _put(record) {
+        return this._transaction('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Destroy service
+     */
+    async destroy() {
+        this._callbacks = {};
+        if (this._dbPromise) {
+            const db = await this._dbPromise.catch(() => null);
+            db?.close();
+            this._dbPromise = null;
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LibraryService;
+}
+if (typeof window !== 'undefined') {
+    window.LibraryService = LibraryService;
+}
@@ -0,0 +1,292 @@
+/**
+ * ReadingSessionService v1.0.0
+ * Timed reading sessions: "read for 20 minutes", "read 5,000 words"
+ * or "finish this chapter", with auto-stop and a summary
+ *
+ * Time and words only count while flow is playing.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class ReadingSessionService {
+    constructor(reader, stateManager, options = {}) {
+        this.reader = reader;
+        this.stateManager = stateManager;
+        this.tickInterval = options.tickInterval || 250;
+
+        this.session = null;
+        this._timer = null;
+        this._callbacks = {};
+
+        this._unsubscribers = [
+            this.reader.on('onPlayChange', (playing) => this._handlePlayChange(playing))
+        ];
+
+        console.log('ReadingSessionService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // EVENT SYSTEM
+    // ========================================
+
+    /**
+     * Subscribe to an event
+     *
+     * Available events:
+     * - 'sessionStarted' - status
+     * - 'sessionTick' - status (while a session is active)
+     * - 'sessionCompleted' - summary (target reached)
+     * - 'sessionEnded' - summary (stopped early)
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return;
+        const index = this._callbacks[event].indexOf(callback);
+        if (index > -1) {
+            this._callbacks[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+        if (this._callbacks[event]) {
+            this._callbacks[event].forEach(cb => {
+                try {
+                    cb(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Start a session using the saved session settings
+     * Any running session is ended first
+     * @returns {Object} Session status
+     */
+    start() {
+        if (this.session) {
+            this.end();
+        }
+
+        const type = this.stateManager.get('session.type') || 'time';
+        const target = type === 'time'
+            ? this.stateManager.get('session.minutes')
+            : type === 'words' ? this.stateManager.get('session.words') : null;
+
+        const readerState = this.reader.getState();
+        this.session = {
+            type,
+            target,
+            startedAt: Date.now(),
+            elapsedMs: 0,
+            wordsRead: 0,
+            lastTick: performance.now(),
+            lastWordIndex: Math.floor(readerState.currentWordIndex)
+        };
+
+        this._timer = setInterval(() => this._tick(), this.tickInterval);
+
+        const status = this.getStatus();
+        console.log('⏱️ Reading session started:', status);
+        this._emit('sessionStarted', status);
+        return status;
+    }
+
+    /**
+     * End the current session early
+     * @returns {Object|null} Summary, or null if no session was running
+     */
+    end() {
+        return this._finish(false);
+    }
+
+    /**
+     * Check if a session is running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * Get current session status
+     * @returns {Object|null} { type, target, elapsedMs, wordsRead, remaining, progress }
+     */
+    getStatus() {
+        if (!this.session) return null;
+
+        const s = this.session;
+        const readerState = this.reader.getState();
+        let remaining;
+        let progress;
+
+        if (s.type === 'time') {
+            const targetMs = s.target * 60000;
+            remaining = Math.max(0, targetMs - s.elapsedMs);
+            progress = targetMs > 0 ? s.elapsedMs / targetMs : 1;
+        } else if (s.type === 'words') {
+            remaining = Math.max(0, s.target - s.wordsRead);
+            progress = s.target > 0 ? s.wordsRead / s.target : 1;
+        } else {
+            const total = readerState.totalWords || 0;
+            remaining = Math.max(0, total - Math.floor(readerState.currentWordIndex));
+            progress = total > 0 ? 1 - remaining / total : 0;
+        }
+
+        return {
+            type: s.type,
+            target: s.target,
+            startedAt: s.startedAt,
+            elapsedMs: s.elapsedMs,
+            wordsRead: s.wordsRead,
+            remaining,
+            progress: Math.min(1, progress)
+        };
+    }
+
+    /**
+     * Notify the service that the reader hit the end of a chapter
+     * @returns {boolean} True if this completed the session (flow should stop)
+     */
+    handleChapterEnd() {
+        if (!this.session) return false;
+
+        this._tick();
+        if (this.session && this.session.type === 'chapter') {
+            this._finish(true);
+            return true;
+        }
+        return !this.session;
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Accumulate time and words while playing, then check the target
+     * @private
+     */
+    _tick() {
+        if (!this.session || !this.reader) return;
+
+        const s = this.session;
+        const now = performance.now();
+        const readerState = this.reader.getState();
+        const wordIndex = Math.floor(readerState.currentWordIndex);
+
+        if (readerState.playing) {
+            s.elapsedMs += now - s.lastTick;
+
+            // Only forward movement counts (rewinds and chapter swaps rebase)
+            if (wordIndex > s.lastWordIndex) {
+                s.wordsRead += wordIndex - s.lastWordIndex;
+            }
+        }
+        s.lastTick = now;
+        s.lastWordIndex = wordIndex;
+
+        const status = this.getStatus();
+        this._emit('sessionTick', status);
+
+        if ((s.type === 'time' || s.type === 'words') && status.remaining <= 0) {
+            this._finish(true);
+        }
+    }
+
+    /**
+     * Keep the tick baseline fresh so paused time isn't counted
+     * @private
+     */
+    _handlePlayChange(playing) {
+        if (!this.session) return;
+
+        if (playing) {
+            this.session.lastTick = performance.now();
+            this.session.lastWordIndex = Math.floor(this.reader.getState().currentWordIndex);
+        } else {
+            this._tick();
+        }
+    }
+
+    /**
+     * Stop the session, pause flow if the target was reached, and emit a summary
+     * @private
+     */
+    _finish(completed) {
+        if (!this.session) return null;
+
+        clearInterval(this._timer);
+        this._timer = null;
+
+        const s = this.session;
+        const minutes = s.elapsedMs / 60000;
+        const summary = {
+            type: s.type,
+            target: s.target,
+            completed,
+            startedAt: s.startedAt,
+            endedAt: Date.now(),
+            durationMs: Math.round(s.elapsedMs),
+            wordsRead: s.wordsRead,
+            effectiveWpm: minutes > 0 ? Math.round(s.wordsRead / minutes) : 0,
+            configuredWpm: this.stateManager.get('flow.speed')
+        };
+        this.session = null;
+
+        if (completed && this.reader.getState().playing) {
+            this.reader.pause();
+        }
+
+        console.log(completed ? '🏁 Reading session complete:' : '⏹️ Reading session ended:', summary);
+        this._emit(completed ? 'sessionCompleted' : 'sessionEnded', summary);
+        return summary;
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        clearInterval(this._timer);
+        this._timer = null;
+        this.session = null;
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+        this._callbacks = {};
+        this.reader = null;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingSessionService;
+}
+if (typeof window !== 'undefined') {
+    window.ReadingSessionService = ReadingSessionService;
+}
@@ -0,0 +1,311 @@
+/**
+ * ReadingStatsService v1.0.0
+ * Records flow/RSVP reading: time, words advanced, configured speed and
+ * finished chapters, per day and per book
+ *
+ * Playing time is sampled on a short tick so seamless chapter changes and
+ * jumps back don't distort the word count. Day totals live in their own
+ * localStorage entry; book totals go through BookDataService.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class ReadingStatsService {
+    constructor(reader, stateManager, bookData, options = {}) {
+        this.reader = reader;
+        this.stateManager = stateManager;
+        this.bookData = bookData;
+
+        this.storageKey = options.storageKey || 'cheetah-reader-stats';
+        this.tickInterval = options.tickInterval || 1000;
+        this.flushInterval = options.flushInterval || 30000;
+        this.retentionDays = options.retentionDays || 365;
+
+        this.bookId = null;
+        this._timer = null;
+        this._lastTick = null;
+        this._lastWord = null;
+        this._lastFlush = Date.now();
+        this._pending = { days: {}, book: null };
+
+        this._pageHideHandler = () => this.flush();
+        window.addEventListener('pagehide', this._pageHideHandler);
+
+        this._unsubscribers = [
+            this.reader.on('onPlayChange', (playing, source) => this._handlePlayChange(playing, source)),
+            this.reader.on('onChapterEnd', () => this._record({ chapters: 1 }))
+        ];
+
+        console.log('ReadingStatsService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Attribute further reading to a book (null for pasted text)
+     * @param {string|null} bookId - Book id from EPUBService
+     */
+    setBook(bookId) {
+        this.flush();
+        this.bookId = bookId || null;
+    }
+
+    /**
+     * Daily totals, oldest first, including days without reading
+     * @param {number} [count=14] - Number of days up to today
+     * @returns {Array<Object>} [{ date, minutes, words, chapters, sessions, effectiveWpm, configuredWpm }]
+     */
+    getDays(count = 14) {
+        this.flush();
+        const days = this._load().days;
+        const result = [];
+
+        for (let i = count - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const key = ReadingStatsService.dayKey(date);
+            result.push({ date: key, ...this._summarize(days[key]) });
+        }
+        return result;
+    }
+
+    /**
+     * Totals for one book
+     * @param {string} bookId - Book id
+     * @returns {Object} { minutes, words, chapters, sessions, effectiveWpm, configuredWpm, lastReadAt }
+     */
+    getBookStats(bookId) {
+        this.flush();
+        const stats = this.bookData?.get(bookId, 'stats');
+        return { ...this._summarize(stats), lastReadAt: stats?.lastReadAt || null };
+    }
+
+    /**
+     * Forget all daily stats (book totals are removed with their books)
+     */
+    clear() {
+        this._pending = { days: {}, book: null };
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('❌ Failed to clear reading stats:', error);
+        }
+    }
+
+    /**
+     * Write pending samples to storage
+     */
+    flush() {
+        this._lastFlush = Date.now();
+        const { days, book } = this._pending;
+        this._pending = { days: {}, book: null };
+
+        const dayKeys = Object.keys(days);
+        if (dayKeys.length > 0) {
+            const data = this._load();
+            dayKeys.forEach(key => {
+                data.days[key] = ReadingStatsService._add(data.days[key], days[key]);
+            });
+            this._prune(data);
+            this._save(data);
+        }
+
+        if (book && this.bookData) {
+            const stored = this.bookData.get(book.bookId, 'stats');
+            this.bookData.set(book.bookId, 'stats', {
+                ...ReadingStatsService._add(stored, book.totals),
+                lastReadAt: Date.now()
+            });
+        }
+    }
+
+    /**
+     * Local calendar day as 'YYYY-MM-DD'
+     * @param {Date} [date]
+     * @returns {string}
+     */
+    static dayKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // ========================================
+    // RECORDING
+    // ========================================
+
+    /**
+     * Resumes after re-renders, chapter changes and notes carry on the same session
+     * @private
+     * @param {boolean} playing
+     * @param {string} [source] - 'user', or what paused/resumed flow on its own
+     */
+    _handlePlayChange(playing, source = 'user') {
+        if (playing) {
+            if (this._timer) return;
+
+            this._lastTick = Date.now();
+            this._lastWord = this._currentWord();
+            if (source === 'user') {
+                this._record({ sessions: 1 });
+            }
+            this._timer = setInterval(() => this._tick(), this.tickInterval);
+            return;
+        }
+
+        if (!this._timer) return;
+        this._tick();
+        clearInterval(this._timer);
+        this._timer = null;
+        this.flush();
+    }
+
+    /**
+     * Sample time and forward progress since the last tick
+     * @private
+     */
+    _tick() {
+        const now = Date.now();
+        // A throttled background tab can stall the timer; don't count the gap
+        const ms = Math.min(now - this._lastTick, this.tickInterval * 5);
+        this._lastTick = now;
+
+        const speed = this.stateManager.get('flow.speed');
+        const word = this._currentWord();
+
+        // Only forward movement counts, capped to what the speed allows (skips forward jumps)
+        const maxWords = Math.ceil(speed * ms / 60000 * 2) + 1;
+        const words = word > this._lastWord ? Math.min(word - this._lastWord, maxWords) : 0;
+        this._lastWord = word;
+
+        this._record({ ms, words, speedMs: speed * ms });
+
+        if (now - this._lastFlush >= this.flushInterval) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Add a sample to today's and the current book's pending totals
+     * @private
+     */
+    _record(delta) {
+        const key = ReadingStatsService.dayKey();
+        this._pending.days[key] = ReadingStatsService._add(this._pending.days[key], delta);
+
+        if (this.bookId) {
+            if (!this._pending.book || this._pending.book.bookId !== this.bookId) {
+                this.flush();
+                this._pending.book = { bookId: this.bookId, totals: null };
+            }
+            this._pending.book.totals = ReadingStatsService._add(this._pending.book.totals, delta);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _currentWord() {
+        return Math.floor(this.reader.getState()?.currentWordIndex || 0);
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Sum two totals objects
+     * @private
+     */
+    static _add(a, b) {
+        const result = { ms: 0, words: 0, speedMs: 0, chapters: 0, sessions: 0 };
+        for (const key of Object.keys(result)) {
+            result[key] = (a?.[key] || 0) + (b?.[key] || 0);
+        }
+        return result;
+    }
+
+    /**
+     * Totals → display values
+     * @private
+     */
+    _summarize(totals) {
+        const t = ReadingStatsService._add(totals);
+        const minutes = t.ms / 60000;
+
+        return {
+            minutes: Math.round(minutes * 10) / 10,
+            words: t.words,
+            chapters: t.chapters,
+            sessions: t.sessions,
+            effectiveWpm: minutes > 0 ? Math.round(t.words / minutes) : 0,
+            configuredWpm: t.ms > 0 ? Math.round(t.speedMs / t.ms) : 0
+        };
+    }
+
+    /**
+     * Drop days older than the retention window
+     * @private
+     */
+    _prune(data) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - this.retentionDays);
+        const cutoffKey = ReadingStatsService.dayKey(cutoff);
+
+        Object.keys(data.days).forEach(key => {
+            if (key < cutoffKey) delete data.days[key];
+        });
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const data = raw ? JSON.parse(raw) : null;
+            return data && data.days ? data : { days: {} };
+        } catch (error) {
+            console.error('❌ Failed to load reading stats:', error);
+            return { days: {} };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('❌ Failed to save reading stats:', error);
+        }
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        if (this._timer) {
+            this._tick();
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this.flush();
+        window.removeEventListener('pagehide', this._pageHideHandler);
+        this._unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+        this._unsubscribers = [];
+        this.reader = null;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingStatsService;
+}
+if (typeof window !== 'undefined') {
+    window.ReadingStatsService = ReadingStatsService;
+}
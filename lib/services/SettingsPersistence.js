@@ -2,14 +2,19 @@
  * SettingsPersistence v1.0.0
  * Manages saving and loading user settings from localStorage
  * 
+ * Settings are stored as { version, settings }. Loaded and imported data is
+ * migrated to the current version and checked against SettingsSchema, so
+ * only valid values reach StateManager.
+ * 
  * @license MIT
  * @version 1.0.0
  */
 
 class SettingsPersistence {
-    constructor(stateManager, storageKey = 'cheetah-reader-settings') {
+    constructor(stateManager, storageKey = 'cheetah-reader-settings', schema = null) {
         this.stateManager = stateManager;
         this.storageKey = storageKey;
+        this.schema = schema || new SettingsSchema();
         
         // Define which settings should be persisted
         this.persistedKeys = [
@@ -24,16 +29,40 @@ class SettingsPersistence {
             'bionicStrength',
             'flow.speed',
             'flow.focusWidth',
-            'flow.scrollLevel'
+            'flow.chunking',
+            'flow.scrollLevel',
+            'flow.variablePacing',
+            'flow.rsvpChunkSize',
+            'flow.rewindMode',
+            'flow.rewindWords',
+            'flow.newlinePause',
+            'flow.clausePause',
+            'flow.sentencePause',
+            'flow.paragraphPause',
+            'session.type',
+            'session.minutes',
+            'session.words',
+            'adaptive.enabled',
+            'adaptive.minSpeed',
+            'adaptive.maxSpeed',
+            'library.view',
+            'library.sort',
+            'pinToBook',
+            'keymap'
         ];
         
+        // Global values of keys whose state currently holds a per-book override
+        this._globalValues = {};
+        this._applying = false;
+        
         this.saveTimeout = null;
         this.saveDelay = 300; // Debounce saves by 300ms
     }
 
     /**
      * Load settings from localStorage and apply to state
-     * @returns {Object} Loaded settings object
+     * Invalid values are dropped (the caller's defaults apply instead).
+     * @returns {Object|null} Valid loaded settings (nested), or null if none were saved
      */
     loadSettings() {
         try {
@@ -43,9 +72,17 @@ class SettingsPersistence {
                 return null;
             }
 
-            const settings = JSON.parse(stored);
+            const { settings: migrated, fromVersion } = this.schema.migrate(JSON.parse(stored));
+            const { settings, rejected } = this.schema.validate(migrated, this.persistedKeys);
             console.log('📦 Loaded settings from localStorage:', settings);
 
+            if (fromVersion < SettingsSchema.VERSION) {
+                console.log(`📦 Migrated saved settings from v${fromVersion} to v${SettingsSchema.VERSION}`);
+            }
+            if (rejected.length > 0) {
+                console.warn('⚠️ Ignored invalid saved settings:', rejected);
+            }
+
             // Apply each setting to state (silently to avoid triggering saves)
             for (const key of this.persistedKeys) {
                 if (this._hasNestedKey(settings, key)) {
@@ -72,15 +109,7 @@ class SettingsPersistence {
 
         this.saveTimeout = setTimeout(() => {
             try {
-                const settings = {};
-
-                // Collect current values for all persisted keys
-                for (const key of this.persistedKeys) {
-                    const value = this.stateManager.get(key);
-                    this._setNestedValue(settings, key, value);
-                }
-
-                localStorage.setItem(this.storageKey, JSON.stringify(settings));
+                localStorage.setItem(this.storageKey, JSON.stringify(SettingsSchema.wrap(this.getSettings())));
                 console.log('💾 Saved settings to localStorage');
             } catch (error) {
                 console.error('❌ Failed to save settings to localStorage:', error);
@@ -115,40 +144,130 @@ class SettingsPersistence {
 
     /**
      * Export settings as JSON string
-     * @returns {string} JSON string of current settings
+     * @returns {string} JSON string of { version, settings }
      */
     exportSettings() {
-        const settings = {};
-        for (const key of this.persistedKeys) {
-            const value = this.stateManager.get(key);
-            this._setNestedValue(settings, key, value);
-        }
-        return JSON.stringify(settings, null, 2);
+        return JSON.stringify(SettingsSchema.wrap(this.getSettings()), null, 2);
     }
 
     /**
      * Import settings from JSON string
+     * Older exports (including bare settings objects) are migrated first;
+     * invalid values are skipped and listed in the report.
      * @param {string} jsonString - JSON string of settings
-     * @returns {boolean} Success status
+     * @returns {Object} Report: { success, fromVersion, applied: [keys],
+     *   rejected: [{ key, value, reason }], unknown: [paths], error }
      */
     importSettings(jsonString) {
+        const report = { success: false, fromVersion: null, applied: [], rejected: [], unknown: [], error: null };
+
+        try {
+            const { settings, fromVersion } = this.schema.migrate(JSON.parse(jsonString));
+            report.fromVersion = fromVersion;
+            Object.assign(report, this.applySettings(settings));
+            report.success = true;
+
+            this.saveSettings();
+            console.log('📥 Imported settings:', report);
+        } catch (error) {
+            report.error = error instanceof SyntaxError ? 'Not valid JSON' : error.message;
+            console.error('❌ Failed to import settings:', error);
+        }
+        return report;
+    }
+
+    /**
+     * Snapshot all persisted values (global values, not per-book overrides)
+     * @returns {Object} Nested settings object, e.g. { fontSize, flow: { speed } }
+     */
+    getSettings() {
+        const settings = {};
+        for (const key of this.persistedKeys) {
+            // Copy so later state changes don't leak into the snapshot
+            const value = this.getGlobalValue(key);
+            this._setNestedValue(settings, key, value === undefined ? value : JSON.parse(JSON.stringify(value)));
+        }
+        return settings;
+    }
+
+    /**
+     * Keep only valid persisted values from a settings object
+     * @param {Object} settings - Nested settings object (current version)
+     * @returns {Object} { settings, rejected: [{ key, value, reason }], unknown: [paths] }
+     */
+    validateSettings(settings) {
+        return this.schema.validate(settings, this.persistedKeys);
+    }
+
+    /**
+     * Write valid persisted values from a settings object into state
+     * Keys missing from the object (or invalid) are left alone.
+     * @param {Object} settings - Nested settings object (current version)
+     * @returns {Object} { applied: [keys], rejected: [{ key, value, reason }], unknown: [paths] }
+     */
+    applySettings(settings) {
+        const { settings: valid, rejected, unknown } = this.validateSettings(settings);
+        const applied = [];
+        this._applying = true;
         try {
-            const settings = JSON.parse(jsonString);
-            
             for (const key of this.persistedKeys) {
-                if (this._hasNestedKey(settings, key)) {
-                    const value = this._getNestedValue(settings, key);
+                if (!this._hasNestedKey(valid, key)) continue;
+
+                const value = this._getNestedValue(valid, key);
+                if (key in this._globalValues) {
+                    // The open book overrides this key; update the global value only
+                    this.setGlobalValue(key, value);
+                } else {
                     this.stateManager.set(key, value);
                 }
+                applied.push(key);
             }
-            
-            this.saveSettings();
-            console.log('📥 Imported settings successfully');
-            return true;
-        } catch (error) {
-            console.error('❌ Failed to import settings:', error);
-            return false;
+        } finally {
+            this._applying = false;
         }
+        return { applied, rejected, unknown };
+    }
+
+    /**
+     * Check if state changes come from applySettings() (an import or profile
+     * switch) rather than from the user
+     * @returns {boolean}
+     */
+    isApplying() {
+        return this._applying;
+    }
+
+    // ========================================
+    // GLOBAL VALUES (per-book overrides)
+    // ========================================
+
+    /**
+     * Keep saving a global value while state holds a per-book override for the key
+     * @param {string} key - Persisted key
+     * @param {*} value - Global value
+     */
+    setGlobalValue(key, value) {
+        this._globalValues[key] = value;
+    }
+
+    /**
+     * Stop shadowing a key and get its global value back
+     * @param {string} key - Persisted key
+     * @returns {*} Global value (the state value if the key wasn't shadowed)
+     */
+    releaseGlobalValue(key) {
+        const value = this.getGlobalValue(key);
+        delete this._globalValues[key];
+        return value;
+    }
+
+    /**
+     * Get the value saved for a key, ignoring per-book overrides
+     * @param {string} key - Persisted key
+     * @returns {*}
+     */
+    getGlobalValue(key) {
+        return key in this._globalValues ? this._globalValues[key] : this.stateManager.get(key);
     }
 
     // ========================================
@@ -0,0 +1,398 @@
+/**
+ * SettingsProfileService v1.0.0
+ * Named settings profiles ("Commute", "Deep Focus", ...)
+ *
+ * A profile is a snapshot of every value SettingsPersistence saves. Switching
+ * writes the snapshot back through StateManager, so the font, theme and
+ * renderer services react as if the user had changed each setting. Profiles
+ * live in their own localStorage entry, next to the current settings.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class SettingsProfileService {
+    static EXPORT_FORMAT = 'cheetah-reader-profile';
+    static EXPORT_VERSION = 1;
+
+    constructor(stateManager, persistence, options = {}) {
+        this.stateManager = stateManager;
+        this.persistence = persistence;
+        this.storageKey = options.storageKey || 'cheetah-reader-profiles';
+        this.checkDelay = options.checkDelay ?? 300;
+
+        this._callbacks = {};
+        this._modified = this.isModified();
+        this._checkTimeout = null;
+
+        // Compare against the active profile once slider drags settle
+        this._unsubscribe = this.stateManager.subscribe(this.persistence.persistedKeys, () => {
+            clearTimeout(this._checkTimeout);
+            this._checkTimeout = setTimeout(() => this._checkModified(), this.checkDelay);
+        });
+
+        console.log('SettingsProfileService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // EVENT SYSTEM
+    // ========================================
+
+    /**
+     * Subscribe to an event
+     *
+     * Available events:
+     * - 'profilesChanged' - { profiles, activeId } (profiles without their settings)
+     * - 'profileApplied' - { profile, keys } (state values replaced by a switch)
+     * - 'modifiedChanged' - { activeId, modified } (settings drifted from / back to the active profile)
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return;
+        const index = this._callbacks[event].indexOf(callback);
+        if (index > -1) {
+            this._callbacks[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+        if (this._callbacks[event]) {
+            this._callbacks[event].forEach(cb => {
+                try {
+                    cb(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * List profiles in creation order
+     * @returns {Array<Object>} [{ id, name, createdAt, updatedAt }]
+     */
+    list() {
+        return this._load().profiles.map(({ settings, ...profile }) => profile);
+    }
+
+    /**
+     * Get one profile, including its settings snapshot
+     * @param {string} id - Profile id
+     * @returns {Object|null} { id, name, settings, createdAt, updatedAt }
+     */
+    get(id) {
+        const profile = this._load().profiles.find(p => p.id === id);
+        return profile ? JSON.parse(JSON.stringify(profile)) : null;
+    }
+
+    /**
+     * Id of the profile switched to (or saved) last
+     * @returns {string|null}
+     */
+    getActiveId() {
+        return this._load().activeId;
+    }
+
+    /**
+     * Check if the current settings differ from the active profile
+     * @returns {boolean} False when no profile is active
+     */
+    isModified() {
+        const active = this.get(this.getActiveId());
+        if (!active) return false;
+        return JSON.stringify(this.persistence.getSettings()) !== JSON.stringify(active.settings);
+    }
+
+    /**
+     * Save the current settings as a new profile (it becomes the active one)
+     * @param {string} name - Profile name
+     * @returns {Object} The profile (without settings)
+     */
+    create(name) {
+        const data = this._load();
+        const profileName = this._validName(data, name);
+        const now = Date.now();
+
+        const profile = {
+            id: this._newId(),
+            name: profileName,
+            settings: this.persistence.getSettings(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        data.profiles.push(profile);
+        data.activeId = profile.id;
+        this._save(data);
+
+        console.log('🎛️ Profile created:', profileName);
+        return this._summary(profile);
+    }
+
+    /**
+     * Overwrite a profile with the current settings
+     * @param {string} id - Profile id
+     * @returns {Object} The profile (without settings)
+     */
+    update(id) {
+        const data = this._load();
+        const profile = this._find(data, id);
+
+        profile.settings = this.persistence.getSettings();
+        profile.updatedAt = Date.now();
+        data.activeId = id;
+        this._save(data);
+
+        return this._summary(profile);
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} id - Profile id
+     * @param {string} name - New name
+     * @returns {Object} The profile (without settings)
+     */
+    rename(id, name) {
+        const data = this._load();
+        const profile = this._find(data, id);
+
+        profile.name = this._validName(data, name, id);
+        profile.updatedAt = Date.now();
+        this._save(data);
+
+        return this._summary(profile);
+    }
+
+    /**
+     * Delete a profile (current settings stay as they are)
+     * @param {string} id - Profile id
+     * @returns {boolean} True if a profile was deleted
+     */
+    remove(id) {
+        const data = this._load();
+        const remaining = data.profiles.filter(p => p.id !== id);
+        if (remaining.length === data.profiles.length) return false;
+
+        data.profiles = remaining;
+        if (data.activeId === id) {
+            data.activeId = null;
+        }
+        this._save(data);
+        return true;
+    }
+
+    /**
+     * Apply a profile's settings through StateManager
+     * @param {string} id - Profile id
+     * @returns {Object} The profile (without settings)
+     */
+    switchTo(id) {
+        const data = this._load();
+        const profile = this._find(data, id);
+
+        const { applied: keys, rejected } = this.persistence.applySettings(profile.settings);
+        this.persistence.saveSettings();
+        if (rejected.length > 0) {
+            console.warn(`⚠️ Profile "${profile.name}" has invalid settings:`, rejected);
+        }
+
+        data.activeId = id;
+        this._save(data);
+        this._emit('profileApplied', { profile: this._summary(profile), keys });
+
+        console.log('🎛️ Switched to profile:', profile.name);
+        return this._summary(profile);
+    }
+
+    // ========================================
+    // EXPORT / IMPORT
+    // ========================================
+
+    /**
+     * Export one profile as a shareable file
+     * @param {string} id - Profile id
+     * @returns {Object} Export object
+     */
+    exportProfile(id) {
+        const profile = this._find(this._load(), id);
+        return {
+            format: SettingsProfileService.EXPORT_FORMAT,
+            version: SettingsProfileService.EXPORT_VERSION,
+            name: profile.name,
+            exportedAt: new Date().toISOString(),
+            settings: JSON.parse(JSON.stringify(profile.settings))
+        };
+    }
+
+    /**
+     * Add a profile from exportProfile() output
+     * A name that is already taken gets a number appended; invalid values are dropped.
+     * @param {Object|string} data - Export object or its JSON text
+     * @returns {Object} The new profile (without settings)
+     */
+    importProfile(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!parsed || parsed.format !== SettingsProfileService.EXPORT_FORMAT ||
+            !parsed.settings || typeof parsed.settings !== 'object' || Array.isArray(parsed.settings)) {
+            throw new Error('Not a Cheetah Reader profile file');
+        }
+
+        const stored = this._load();
+        const baseName = String(parsed.name || '').trim() || 'Imported profile';
+        let name = baseName;
+        for (let n = 2; this._nameTaken(stored, name); n++) {
+            name = `${baseName} (${n})`;
+        }
+
+        const now = Date.now();
+        const profile = {
+            id: this._newId(),
+            name,
+            settings: this.persistence.validateSettings(parsed.settings).settings,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        stored.profiles.push(profile);
+        this._save(stored);
+
+        console.log('📥 Profile imported:', name);
+        return this._summary(profile);
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * @private
+     */
+    _find(data, id) {
+        const profile = data.profiles.find(p => p.id === id);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+        return profile;
+    }
+
+    /**
+     * @private
+     */
+    _newId() {
+        return `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Trimmed, non-empty name not used by another profile
+     * @private
+     */
+    _validName(data, name, exceptId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+        if (this._nameTaken(data, trimmed, exceptId)) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * @private
+     */
+    _nameTaken(data, name, exceptId = null) {
+        const lower = name.toLowerCase();
+        return data.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === lower);
+    }
+
+    /**
+     * @private
+     */
+    _summary({ settings, ...profile }) {
+        return profile;
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const data = raw ? JSON.parse(raw) : null;
+            return data && Array.isArray(data.profiles)
+                ? { activeId: data.activeId || null, profiles: data.profiles }
+                : { activeId: null, profiles: [] };
+        } catch (error) {
+            console.error('❌ Failed to load profiles:', error);
+            return { activeId: null, profiles: [] };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _save(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('❌ Failed to save profiles:', error);
+        }
+        this._modified = this.isModified();
+        this._emit('profilesChanged', { profiles: this.list(), activeId: data.activeId });
+    }
+
+    /**
+     * @private
+     */
+    _checkModified() {
+        const modified = this.isModified();
+        if (modified === this._modified) return;
+
+        this._modified = modified;
+        this._emit('modifiedChanged', { activeId: this.getActiveId(), modified });
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        clearTimeout(this._checkTimeout);
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        this._callbacks = {};
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsProfileService;
+}
+if (typeof window !== 'undefined') {
+    window.SettingsProfileService = SettingsProfileService;
+}
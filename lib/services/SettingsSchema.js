@@ -0,0 +1,268 @@
+/**
+ * SettingsSchema v1.0.0
+ * Types, ranges and allowed values for persisted settings, plus migrations
+ * for older stored data
+ *
+ * Fonts and themes come from FONTS and THEMES, and the font size and speed
+ * limits from the reader's READER_CONFIG, so the schema follows whatever the
+ * reader actually supports. Stored settings are wrapped as
+ * { version, settings }; blobs without a version are version 1.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class SettingsSchema {
+    static VERSION = 2;
+
+    /**
+     * Migrations from each version to the next: MIGRATIONS[n] turns
+     * version n data into version n + 1 data
+     */
+    static MIGRATIONS = {
+        // v1 was the bare settings object
+        1: (data) => ({ version: 2, settings: data })
+    };
+
+    /**
+     * @param {Object} [sources] - { fonts, themes, readerConfig, librarySorts }
+     *   (default: window.FONTS, window.THEMES, EBookReaderCore.READER_CONFIG, LibraryService.SORTS)
+     */
+    constructor(sources = {}) {
+        const global = typeof window !== 'undefined' ? window : {};
+
+        this.rules = SettingsSchema.buildRules({
+            fonts: sources.fonts ?? global.FONTS,
+            themes: sources.themes ?? global.THEMES,
+            readerConfig: sources.readerConfig ?? global.EBookReaderCore?.READER_CONFIG,
+            librarySorts: sources.librarySorts ?? global.LibraryService?.SORTS
+        });
+    }
+
+    /**
+     * Build the rule table
+     * A missing source relaxes its rules (any string, or the fallback range)
+     * instead of rejecting everything.
+     * @param {Object} sources - { fonts, themes, readerConfig, librarySorts }
+     * @returns {Object} key → { type, min, max, integer, values }
+     */
+    static buildRules({ fonts, themes, readerConfig, librarySorts }) {
+        const fontSize = readerConfig?.fontSize || { min: 12, max: 48 };
+        const speed = readerConfig?.speed || { min: 100, rsvpMax: 1000 };
+        // RSVP allows faster speeds than in-page flow; the reader clamps per mode
+        const speedRange = { min: speed.min, max: speed.rsvpMax ?? speed.max };
+
+        const number = (min, max) => ({ type: 'number', min, max });
+        const integer = (min, max) => ({ type: 'number', min, max, integer: true });
+        const oneOf = (values) => values ? { type: 'enum', values } : { type: 'string' };
+        const boolean = { type: 'boolean' };
+        const pause = number(0, 5);
+
+        return {
+            fontSize: number(fontSize.min, fontSize.max),
+            font: oneOf(fonts && Object.keys(fonts)),
+            lineHeight: number(1, 3),
+            theme: oneOf(themes && Object.keys(themes)),
+            autoTheme: boolean,
+            marginL: number(10, 400),
+            marginR: number(10, 400),
+            bionic: boolean,
+            bionicStrength: number(0.2, 0.7),
+            'flow.speed': number(speedRange.min, speedRange.max),
+            'flow.focusWidth': integer(1, 5),
+            'flow.chunking': oneOf(['fixed', 'phrase']),
+            'flow.scrollLevel': integer(1, 5),
+            'flow.variablePacing': boolean,
+            'flow.rsvpChunkSize': integer(1, 3),
+            'flow.rewindMode': oneOf(['off', 'words', 'sentence', 'line']),
+            'flow.rewindWords': integer(1, 30),
+            'flow.newlinePause': pause,
+            'flow.clausePause': pause,
+            'flow.sentencePause': pause,
+            'flow.paragraphPause': pause,
+            'session.type': oneOf(['time', 'words', 'chapter']),
+            'session.minutes': integer(1, 600),
+            'session.words': integer(50, 500000),
+            'adaptive.enabled': boolean,
+            'adaptive.minSpeed': number(speedRange.min, speedRange.max),
+            'adaptive.maxSpeed': number(speedRange.min, speedRange.max),
+            'library.view': oneOf(['grid', 'list']),
+            'library.sort': oneOf(librarySorts || ['lastOpened', 'title', 'author', 'progress']),
+            pinToBook: boolean,
+            keymap: { type: 'keymap' }
+        };
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Check one value
+     * @param {string} key - Setting key (dot notation)
+     * @param {*} value
+     * @returns {string|null} Why the value is rejected, or null if it's valid
+     */
+    check(key, value) {
+        const rule = this.rules[key];
+        if (!rule) return 'unknown setting';
+
+        switch (rule.type) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    return `expected a number, got ${SettingsSchema._describe(value)}`;
+                }
+                if (rule.integer && !Number.isInteger(value)) {
+                    return 'expected a whole number';
+                }
+                if (value < rule.min || value > rule.max) {
+                    return `must be between ${rule.min} and ${rule.max}`;
+                }
+                return null;
+
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `expected true or false, got ${SettingsSchema._describe(value)}`;
+
+            case 'string':
+                return typeof value === 'string' ? null : `expected text, got ${SettingsSchema._describe(value)}`;
+
+            case 'enum':
+                return rule.values.includes(value)
+                    ? null
+                    : `must be one of ${rule.values.join(', ')}`;
+
+            case 'keymap':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return 'expected an object of key bindings';
+                }
+                for (const [action, keys] of Object.entries(value)) {
+                    if (!Array.isArray(keys) || !keys.every(k => typeof k === 'string')) {
+                        return `bindings for "${action}" must be a list of keys`;
+                    }
+                }
+                return null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Split a settings object into accepted and rejected values
+     * @param {Object} settings - Nested settings object (current version)
+     * @param {Array<string>} keys - Keys to look for (dot notation)
+     * @returns {Object} { settings: accepted values (nested), rejected: [{ key, value, reason }],
+     *   unknown: paths in the input that aren't settings }
+     */
+    validate(settings, keys) {
+        const accepted = {};
+        const rejected = [];
+        const unknown = SettingsSchema._unknownPaths(settings, keys);
+
+        for (const key of keys) {
+            const path = key.split('.');
+            let value = settings;
+            let found = true;
+            for (const part of path) {
+                if (value === null || typeof value !== 'object' || !(part in value)) {
+                    found = false;
+                    break;
+                }
+                value = value[part];
+            }
+            if (!found) continue;
+
+            const reason = this.check(key, value);
+            if (reason) {
+                rejected.push({ key, value, reason });
+                continue;
+            }
+
+            let target = accepted;
+            path.slice(0, -1).forEach(part => {
+                target = target[part] = target[part] || {};
+            });
+            target[path[path.length - 1]] = value;
+        }
+
+        return { settings: accepted, rejected, unknown };
+    }
+
+    // ========================================
+    // MIGRATION
+    // ========================================
+
+    /**
+     * Bring stored or imported data up to the current version
+     * @param {Object} data - { version, settings }, or a bare version 1 settings object
+     * @returns {Object} { settings, fromVersion }
+     * @throws {Error} If the data is from a newer version or can't be migrated
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Settings must be a JSON object');
+        }
+
+        const versioned = Number.isInteger(data.version) && data.settings && typeof data.settings === 'object';
+        const fromVersion = versioned ? data.version : 1;
+        if (fromVersion > SettingsSchema.VERSION) {
+            throw new Error(`Settings are from a newer version (v${fromVersion}); this app reads up to v${SettingsSchema.VERSION}`);
+        }
+
+        let current = data;
+        for (let version = fromVersion; version < SettingsSchema.VERSION; version++) {
+            const migration = SettingsSchema.MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from settings v${version}`);
+            }
+            current = migration(current);
+        }
+
+        return { settings: current.settings, fromVersion };
+    }
+
+    /**
+     * Wrap settings for storage or export
+     * @param {Object} settings - Nested settings object
+     * @returns {Object} { version, settings }
+     */
+    static wrap(settings) {
+        return { version: SettingsSchema.VERSION, settings };
+    }
+
+    /**
+     * Leaf paths that are neither a key nor lead to one
+     * @private
+     */
+    static _unknownPaths(obj, keys, prefix = '') {
+        const unknown = [];
+        for (const [name, value] of Object.entries(obj)) {
+            const path = prefix + name;
+            if (keys.includes(path)) continue;
+            const isGroup = value && typeof value === 'object' && !Array.isArray(value);
+            if (isGroup && keys.some(key => key.startsWith(path + '.'))) {
+                unknown.push(...SettingsSchema._unknownPaths(value, keys, path + '.'));
+            } else {
+                unknown.push(path);
+            }
+        }
+        return unknown;
+    }
+
+    /**
+     * @private
+     */
+    static _describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'a list';
+        return typeof value === 'string' ? `"${value}"` : typeof value;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsSchema;
+}
+if (typeof window !== 'undefined') {
+    window.SettingsSchema = SettingsSchema;
+}
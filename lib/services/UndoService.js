@@ -0,0 +1,281 @@
+/**
+ * UndoService v1.0.0
+ * Undo/redo for settings changes
+ *
+ * Builds undo steps from the { key, oldValue, newValue } entries StateManager
+ * records in its history, keeping only the tracked settings. Entries whose
+ * timestamps are within groupDelay of each other (a slider drag, both
+ * margins, a profile switch) become one step. The history only keeps the
+ * last few changes, so new entries are turned into steps as they arrive.
+ *
+ * @license MIT
+ * @version 1.0.0
+ */
+
+class UndoService {
+    /**
+     * @param {StateManager} stateManager
+     * @param {Array<string>} keys - Setting keys to track
+     * @param {Object} [options] - { groupDelay, limit, ignore } (ignore() returning
+     *   true skips changes the app makes on its own, like adaptive speed)
+     */
+    constructor(stateManager, keys, options = {}) {
+        this.stateManager = stateManager;
+        this.keys = [...keys];
+        this.groupDelay = options.groupDelay ?? 600;
+        this.limit = options.limit || 100;
+        this.ignore = options.ignore || (() => false);
+
+        this._undoStack = [];
+        this._redoStack = [];
+        this._replaying = false;
+        this._callbacks = {};
+
+        // Last history entry already turned into a step (or skipped)
+        this._lastEntry = this._latestEntry();
+
+        this._unsubscribe = this.stateManager.subscribe(this.keys, () => this._sync());
+
+        console.log('UndoService v1.0.0 initialized');
+    }
+
+    // ========================================
+    // EVENT SYSTEM
+    // ========================================
+
+    /**
+     * Subscribe to an event
+     *
+     * Available events:
+     * - 'historyChanged' - { canUndo, canRedo }
+     * - 'applied' - { keys, action } (state values replaced by 'undo' or 'redo')
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this._callbacks[event]) {
+            this._callbacks[event] = [];
+        }
+        this._callbacks[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    off(event, callback) {
+        if (!this._callbacks[event]) return;
+        const index = this._callbacks[event].indexOf(callback);
+        if (index > -1) {
+            this._callbacks[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+        if (this._callbacks[event]) {
+            this._callbacks[event].forEach(cb => {
+                try {
+                    cb(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    /**
+     * Revert the last step
+     * @returns {Array<string>|null} Keys that changed, or null if there was nothing to undo
+     */
+    undo() {
+        this._sync();
+        const step = this._undoStack.pop();
+        if (!step) return null;
+
+        // Restore in reverse so keys changed twice end at their first old value
+        this._apply([...step.changes].reverse().map(c => [c.key, c.oldValue]), 'undo');
+        this._redoStack.push(step);
+
+        // The next change starts a fresh step
+        const top = this._undoStack[this._undoStack.length - 1];
+        if (top) top.time = 0;
+        this._changed();
+        return step.changes.map(c => c.key);
+    }
+
+    /**
+     * Re-apply the last undone step
+     * @returns {Array<string>|null} Keys that changed, or null if there was nothing to redo
+     */
+    redo() {
+        this._sync();
+        const step = this._redoStack.pop();
+        if (!step) return null;
+
+        this._apply(step.changes.map(c => [c.key, c.newValue]), 'redo');
+        step.time = 0; // Never merge into a redone step
+        this._undoStack.push(step);
+        this._changed();
+        return step.changes.map(c => c.key);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        this._sync();
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Forget all steps
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._changed();
+    }
+
+    // ========================================
+    // PRIVATE
+    // ========================================
+
+    /**
+     * Turn history entries recorded since the last sync into steps
+     * (silent sets, like a font's line height, are picked up here too)
+     * @private
+     */
+    _sync() {
+        if (this._replaying) return;
+
+        const history = this.stateManager.getHistory(Infinity);
+        // Not found after the history was cleared or trimmed: everything is new
+        const start = history.lastIndexOf(this._lastEntry) + 1;
+        if (start === history.length) return;
+
+        this._lastEntry = history[history.length - 1];
+        history.slice(start)
+            .filter(entry => this.keys.includes(entry.key))
+            .forEach(entry => this._record(entry));
+    }
+
+    /**
+     * @private
+     */
+    _latestEntry() {
+        return this.stateManager.getHistory(1)[0] || null;
+    }
+
+    /**
+     * Add a history entry to the current step, or start a new one
+     * @private
+     */
+    _record({ key, oldValue, newValue, timestamp: now }) {
+        if (this.ignore(key)) return;
+        if (UndoService._same(oldValue, newValue)) return;
+
+        const last = this._undoStack[this._undoStack.length - 1];
+
+        if (last && now - last.time < this.groupDelay) {
+            const existing = last.changes.find(c => c.key === key);
+            if (existing) {
+                existing.newValue = UndoService._copy(newValue);
+            } else {
+                last.changes.push({ key, oldValue: UndoService._copy(oldValue), newValue: UndoService._copy(newValue) });
+            }
+            last.time = now;
+
+            // Dragged back to where it started
+            last.changes = last.changes.filter(c => !UndoService._same(c.oldValue, c.newValue));
+            if (last.changes.length === 0) {
+                this._undoStack.pop();
+            }
+        } else {
+            this._undoStack.push({
+                time: now,
+                changes: [{ key, oldValue: UndoService._copy(oldValue), newValue: UndoService._copy(newValue) }]
+            });
+            if (this._undoStack.length > this.limit) {
+                this._undoStack.shift();
+            }
+        }
+
+        this._redoStack = [];
+        this._changed();
+    }
+
+    /**
+     * @private
+     */
+    _apply(entries, action) {
+        this._replaying = true;
+        try {
+            entries.forEach(([key, value]) => this.stateManager.set(key, UndoService._copy(value)));
+            this._emit('applied', { keys: [...new Set(entries.map(([key]) => key))], action });
+        } finally {
+            // The replayed entries are not new steps
+            this._lastEntry = this._latestEntry();
+            this._replaying = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _changed() {
+        this._emit('historyChanged', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+    }
+
+    /**
+     * @private
+     */
+    static _same(a, b) {
+        return a === b || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Objects (key bindings) are copied so later edits don't change recorded values
+     * @private
+     */
+    static _copy(value) {
+        return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    /**
+     * Destroy service
+     */
+    destroy() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        this._callbacks = {};
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoService;
+}
+if (typeof window !== 'undefined') {
+    window.UndoService = UndoService;
+}
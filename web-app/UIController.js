@@ -56,15 +56,75 @@ class UIController {
             epubUpload: document.getElementById('epub-upload'),
             pasteBtn: document.getElementById('paste-btn'),
 
+            // Library
+            libraryBtn: document.getElementById('library-btn'),
+            libraryPanel: document.getElementById('library-panel'),
+            librarySortSelect: document.getElementById('library-sort-select'),
+            libraryShelf: document.getElementById('library-shelf'),
+            libraryCloseBtn: document.getElementById('library-close-btn'),
+
+            // Per-book settings
+            pinToBook: document.getElementById('pin-to-book'),
+            bookOverridesList: document.getElementById('book-overrides-list'),
+            pinBookSettingsBtn: document.getElementById('pin-book-settings-btn'),
+            resetBookSettingsBtn: document.getElementById('reset-book-settings-btn'),
+
+            // Undo / redo
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
+
+            // Settings profiles
+            profileSelect: document.getElementById('profile-select'),
+            profileStatus: document.getElementById('profile-status'),
+            saveProfileBtn: document.getElementById('save-profile-btn'),
+            newProfileBtn: document.getElementById('new-profile-btn'),
+            renameProfileBtn: document.getElementById('rename-profile-btn'),
+            deleteProfileBtn: document.getElementById('delete-profile-btn'),
+            exportProfileBtn: document.getElementById('export-profile-btn'),
+            importProfileBtn: document.getElementById('import-profile-btn'),
+            importProfileInput: document.getElementById('import-profile-input'),
+
+            // Reading stats
+            statsBtn: document.getElementById('stats-btn'),
+            statsPanel: document.getElementById('stats-panel'),
+            statsRangeSelect: document.getElementById('stats-range-select'),
+            statsCloseBtn: document.getElementById('stats-close-btn'),
+            statsSummary: document.getElementById('stats-summary'),
+            statsMinutesChart: document.getElementById('stats-minutes-chart'),
+            statsWordsChart: document.getElementById('stats-words-chart'),
+            statsWpmChart: document.getElementById('stats-wpm-chart'),
+            statsBooks: document.getElementById('stats-books'),
+            resetStatsBtn: document.getElementById('reset-stats-btn'),
+
             // Metadata
             bookTitle: document.getElementById('book-title'),
             bookAuthor: document.getElementById('book-author'),
+            bookCover: document.getElementById('book-cover'),
+            bookInfoBtn: document.getElementById('book-info-btn'),
+            bookInfoPanel: document.getElementById('book-info-panel'),
+            bookInfoCloseBtn: document.getElementById('book-info-close-btn'),
+            bookInfoCover: document.getElementById('book-info-cover'),
+            bookInfoTitle: document.getElementById('book-info-title'),
+            bookInfoAuthor: document.getElementById('book-info-author'),
+            bookInfoFields: document.getElementById('book-info-fields'),
+            bookInfoDescription: document.getElementById('book-info-description'),
 
             // Chapters
             chaptersList: document.getElementById('chapters-list'),
             chapterNavBar: document.getElementById('chapter-nav-bar'),
             prevChapterBtn: document.getElementById('prev-chapter-btn'),
             nextChapterBtn: document.getElementById('next-chapter-btn'),
+            navBackBtn: document.getElementById('nav-back-btn'),
+            navForwardBtn: document.getElementById('nav-forward-btn'),
+            bookmarkBtn: document.getElementById('bookmark-btn'),
+
+            // Book search
+            searchInput: document.getElementById('search-input'),
+            searchCase: document.getElementById('search-case'),
+            searchDiacritics: document.getElementById('search-diacritics'),
+            searchWholeWord: document.getElementById('search-whole-word'),
+            searchStatus: document.getElementById('search-status'),
+            searchResults: document.getElementById('search-results'),
 
             // Sidebar toggles
             chaptersToggle: document.getElementById('chapters-toggle'),
@@ -74,6 +134,7 @@ class UIController {
 
             // Reading modes
             flowBtn: document.getElementById('btn-flow'),
+            rsvpBtn: document.getElementById('btn-rsvp'),
             bionicBtn: document.getElementById('btn-bionic'),
 
             // Sliders
@@ -81,6 +142,10 @@ class UIController {
             speedValue: document.getElementById('speed-value'),
             focusSlider: document.getElementById('focus-slider'),
             focusValue: document.getElementById('focus-value'),
+            chunkingSelect: document.getElementById('chunking-select'),
+            rewindSelect: document.getElementById('rewind-select'),
+            rewindWordsSlider: document.getElementById('rewind-words-slider'),
+            rewindWordsValue: document.getElementById('rewind-words-value'),
             scrollSlider: document.getElementById('scroll-slider'),
             scrollValue: document.getElementById('scroll-value'),
             fontsizeSlider: document.getElementById('fontsize-slider'),
@@ -89,6 +154,22 @@ class UIController {
             lineheightValue: document.getElementById('lineheight-value'),
             bionicStrengthSlider: document.getElementById('bionic-strength-slider'),
             bionicStrengthValue: document.getElementById('bionic-strength-value'),
+            variablePacing: document.getElementById('variable-pacing'),
+            adaptiveSpeed: document.getElementById('adaptive-speed'),
+            adaptiveMinSlider: document.getElementById('adaptive-min-slider'),
+            adaptiveMinValue: document.getElementById('adaptive-min-value'),
+            adaptiveMaxSlider: document.getElementById('adaptive-max-slider'),
+            adaptiveMaxValue: document.getElementById('adaptive-max-value'),
+            rsvpChunkSlider: document.getElementById('rsvp-chunk-slider'),
+            rsvpChunkValue: document.getElementById('rsvp-chunk-value'),
+            sentencePauseSlider: document.getElementById('sentence-pause-slider'),
+            sentencePauseValue: document.getElementById('sentence-pause-value'),
+            clausePauseSlider: document.getElementById('clause-pause-slider'),
+            clausePauseValue: document.getElementById('clause-pause-value'),
+            paragraphPauseSlider: document.getElementById('paragraph-pause-slider'),
+            paragraphPauseValue: document.getElementById('paragraph-pause-value'),
+            newlinePauseSlider: document.getElementById('newline-pause-slider'),
+            newlinePauseValue: document.getElementById('newline-pause-value'),
 
             // Margins
             marginLeftSlider: document.getElementById('margin-left-slider'),
@@ -103,6 +184,41 @@ class UIController {
             themeSelect: document.getElementById('theme-select'),
             themeAuto: document.getElementById('theme-auto'),
 
+            // Resume offer
+            resumeBanner: document.getElementById('resume-banner'),
+            resumeText: document.getElementById('resume-text'),
+            resumeBtn: document.getElementById('resume-btn'),
+            resumeDismissBtn: document.getElementById('resume-dismiss-btn'),
+
+            // Reading sessions
+            sessionTypeSelect: document.getElementById('session-type-select'),
+            sessionTargetGroup: document.getElementById('session-target-group'),
+            sessionTargetInput: document.getElementById('session-target-input'),
+            sessionTargetUnit: document.getElementById('session-target-unit'),
+            sessionBtn: document.getElementById('session-btn'),
+            sessionSummary: document.getElementById('session-summary'),
+            sessionBadge: document.getElementById('session-badge'),
+
+            // Highlights
+            highlightToolbar: document.getElementById('highlight-toolbar'),
+            highlightNoteBtn: document.getElementById('highlight-note-btn'),
+            highlightRemoveBtn: document.getElementById('highlight-remove-btn'),
+            highlightNoteText: document.getElementById('highlight-note-text'),
+            notePopover: document.getElementById('note-popover'),
+            noteLabel: document.getElementById('note-label'),
+            noteContent: document.getElementById('note-content'),
+            noteCloseBtn: document.getElementById('note-close-btn'),
+            annotationsCount: document.getElementById('annotations-count'),
+            copyAnnotationsBtn: document.getElementById('copy-annotations-btn'),
+            exportMarkdownBtn: document.getElementById('export-markdown-btn'),
+            exportJsonBtn: document.getElementById('export-json-btn'),
+            importJsonBtn: document.getElementById('import-json-btn'),
+            importJsonInput: document.getElementById('import-json-input'),
+
+            // Keyboard shortcuts
+            shortcutsList: document.getElementById('shortcuts-list'),
+            resetShortcutsBtn: document.getElementById('reset-shortcuts-btn'),
+
             // Reset
             resetBtn: document.getElementById('reset-settings-btn')
         };
@@ -120,12 +236,33 @@ class UIController {
         // Content loading
         this._setupContentLoadingListeners();
 
+        // Library
+        this._setupLibraryListeners();
+
+        // Reading stats
+        this._setupStatsListeners();
+
+        // Book info
+        this._setupBookInfoListeners();
+
+        // Per-book settings
+        this._setupBookSettingsListeners();
+
+        // Settings profiles
+        this._setupProfileListeners();
+
+        // Undo / redo
+        this._setupUndoListeners();
+
         // UI toggles
         this._setupUIToggleListeners();
 
         // Chapter navigation
         this._setupChapterNavigationListeners();
 
+        // Book search
+        this._setupSearchListeners();
+
         // Margins
         this._setupMarginListeners();
 
@@ -135,6 +272,18 @@ class UIController {
         // Controls (sliders, selectors)
         this._setupControlListeners();
 
+        // Reading sessions
+        this._setupSessionListeners();
+
+        // Highlights and notes
+        this._setupHighlightListeners();
+
+        // Footnote popover
+        this._setupNoteListeners();
+
+        // Keyboard shortcuts
+        this._setupShortcutListeners();
+
         // Reset settings
         this._setupResetListener();
     }
@@ -164,63 +313,1167 @@ class UIController {
 
                 this.app.loadPastedText(text);
 
-                // Update UI
-                if (this.elements.bookTitle) {
-                    this.elements.bookTitle.textContent = 'Pasted Text';
-                }
-                if (this.elements.bookAuthor) {
-                    this.elements.bookAuthor.textContent = `${text.length} characters`;
-                }
-                if (this.elements.chaptersList) {
-                    this.elements.chaptersList.innerHTML =
-                        '<div class="chapters-list-empty">No chapters (pasted text)</div>';
-                }
+                // Update UI
+                if (this.elements.bookTitle) {
+                    this.elements.bookTitle.textContent = 'Pasted Text';
+                }
+                if (this.elements.bookAuthor) {
+                    this.elements.bookAuthor.textContent = `${text.length} characters`;
+                }
+                if (this.elements.chaptersList) {
+                    this.elements.chaptersList.innerHTML =
+                        '<div class="chapters-list-empty">No chapters (pasted text)</div>';
+                }
+
+            } catch (error) {
+                console.error('Failed to read clipboard:', error);
+                alert('Failed to read clipboard. Make sure you granted clipboard permissions.');
+            }
+        });
+    }
+
+    /**
+     * Setup library (bookshelf) listeners
+     * @private
+     */
+    _setupLibraryListeners() {
+        const panel = this.elements.libraryPanel;
+        if (!panel) return;
+
+        // Object URLs for the covers currently shown
+        this._coverUrls = [];
+
+        this.elements.libraryBtn?.addEventListener('click', () => {
+            panel.style.display = '';
+            this._renderLibrary();
+        });
+
+        const close = () => {
+            panel.style.display = 'none';
+        };
+        this.elements.libraryCloseBtn?.addEventListener('click', close);
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) close();
+        });
+
+        this.elements.librarySortSelect?.addEventListener('change', (e) => {
+            this.app.setLibrarySort(e.target.value);
+            this._renderLibrary();
+        });
+
+        panel.querySelectorAll('.library-view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.app.setLibraryView(btn.dataset.view);
+                this._updateLibraryView();
+            });
+        });
+
+        this.elements.libraryShelf?.addEventListener('click', async (e) => {
+            const card = e.target.closest('.library-book');
+            if (!card) return;
+
+            if (e.target.closest('.library-remove')) {
+                const title = card.querySelector('.library-title')?.textContent || 'this book';
+                if (!confirm(`Remove "${title}" from the library? Its reading position, bookmarks and highlights will be deleted too.`)) {
+                    return;
+                }
+
+                const wasOpen = card.dataset.bookId === this.app.getBookId();
+                await this.app.removeFromLibrary(card.dataset.bookId);
+                if (wasOpen) this._resetBookUI();
+                return;
+            }
+
+            close();
+            try {
+                await this.app.openFromLibrary(card.dataset.bookId);
+            } catch (error) {
+                console.error('Failed to open book from library:', error);
+                alert(`Could not open this book: ${error.message}`);
+            }
+        });
+
+        this.app.onLibrary('libraryChanged', () => {
+            if (panel.style.display !== 'none') this._renderLibrary();
+        });
+    }
+
+    /**
+     * Render the shelf
+     * @private
+     */
+    async _renderLibrary() {
+        const shelf = this.elements.libraryShelf;
+        if (!shelf) return;
+
+        const settings = this.app.getCurrentSettings();
+        if (this.elements.librarySortSelect) {
+            this.elements.librarySortSelect.value = settings.library.sort;
+        }
+        this._updateLibraryView();
+
+        let books;
+        try {
+            books = await this.app.getLibrary();
+        } catch (error) {
+            console.error('Failed to read library:', error);
+            shelf.innerHTML = '<div class="library-empty">The library is not available in this browser.</div>';
+            return;
+        }
+
+        this._coverUrls.forEach(url => URL.revokeObjectURL(url));
+        this._coverUrls = [];
+        shelf.innerHTML = '';
+
+        if (books.length === 0) {
+            shelf.innerHTML = '<div class="library-empty">No books yet. Books you upload are kept here.</div>';
+            return;
+        }
+
+        const currentId = this.app.getBookId();
+        books.forEach(book => {
+            const card = document.createElement('div');
+            card.className = 'library-book';
+            card.classList.toggle('current', book.bookId === currentId);
+            card.dataset.bookId = book.bookId;
+
+            const cover = document.createElement('div');
+            cover.className = 'library-cover';
+            if (book.cover) {
+                const url = URL.createObjectURL(book.cover);
+                this._coverUrls.push(url);
+                const img = document.createElement('img');
+                img.src = url;
+                img.alt = '';
+                cover.appendChild(img);
+            } else {
+                cover.textContent = '🐆';
+            }
+
+            const info = document.createElement('div');
+            info.className = 'library-info';
+
+            const title = document.createElement('div');
+            title.className = 'library-title';
+            title.textContent = book.title;
+
+            const author = document.createElement('div');
+            author.className = 'library-author';
+            author.textContent = book.author || 'Unknown Author';
+
+            const percent = Math.round(book.progress * 100);
+            const progress = document.createElement('div');
+            progress.className = 'library-progress';
+            progress.innerHTML = `<div class="library-progress-fill" style="width: ${percent}%"></div>`;
+
+            const meta = document.createElement('div');
+            meta.className = 'library-meta';
+            meta.textContent = `${percent}% · opened ${new Date(book.lastOpenedAt).toLocaleDateString()}`;
+
+            info.append(title, author, progress, meta);
+
+            const remove = document.createElement('button');
+            remove.className = 'library-remove';
+            remove.title = 'Remove from library';
+            remove.textContent = '🗑️';
+
+            card.append(cover, info, remove);
+            shelf.appendChild(card);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _updateLibraryView() {
+        const view = this.app.getCurrentSettings().library.view;
+
+        this.elements.libraryShelf?.classList.toggle('grid', view === 'grid');
+        this.elements.libraryShelf?.classList.toggle('list', view === 'list');
+        this.elements.libraryPanel?.querySelectorAll('.library-view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+    }
+
+    /**
+     * Setup undo/redo buttons
+     * @private
+     */
+    _setupUndoListeners() {
+        this.elements.undoBtn?.addEventListener('click', () => this.app.undo());
+        this.elements.redoBtn?.addEventListener('click', () => this.app.redo());
+
+        const update = ({ canUndo, canRedo }) => {
+            if (this.elements.undoBtn) this.elements.undoBtn.disabled = !canUndo;
+            if (this.elements.redoBtn) this.elements.redoBtn.disabled = !canRedo;
+        };
+        this.app.onUndo('historyChanged', update);
+        update(this.app.getUndoState());
+
+        // Undo and redo (buttons or keys) change state behind the controls' backs
+        this.app.onUndo('applied', () => {
+            this._syncUIWithSettings();
+            this._updateMarginsUI();
+        });
+    }
+
+    /**
+     * Setup settings profile listeners
+     * @private
+     */
+    _setupProfileListeners() {
+        const selectedId = () => this.elements.profileSelect?.value || null;
+
+        // Report failures (duplicate names, bad files) instead of throwing into the void
+        const attempt = (action) => {
+            try {
+                action();
+            } catch (error) {
+                console.error('Profile action failed:', error);
+                alert(error.message);
+            }
+        };
+
+        this.elements.profileSelect?.addEventListener('change', () => {
+            const id = selectedId();
+            if (id) attempt(() => this.app.switchProfile(id));
+            this._renderProfiles();
+        });
+
+        this.elements.saveProfileBtn?.addEventListener('click', () => {
+            const id = selectedId();
+            if (id) attempt(() => this.app.saveProfile(id));
+        });
+
+        this.elements.newProfileBtn?.addEventListener('click', () => {
+            const name = prompt('Name for a profile with the current settings:', '');
+            if (name !== null) attempt(() => this.app.createProfile(name));
+        });
+
+        this.elements.renameProfileBtn?.addEventListener('click', () => {
+            const id = selectedId();
+            if (!id) return;
+            const current = this.elements.profileSelect.selectedOptions[0]?.textContent || '';
+            const name = prompt('Rename profile:', current.replace(/ •$/, ''));
+            if (name !== null) attempt(() => this.app.renameProfile(id, name));
+        });
+
+        this.elements.deleteProfileBtn?.addEventListener('click', () => {
+            const id = selectedId();
+            if (id && confirm('Delete this profile? Your current settings stay as they are.')) {
+                this.app.deleteProfile(id);
+            }
+        });
+
+        this.elements.exportProfileBtn?.addEventListener('click', () => {
+            const id = selectedId();
+            if (!id) return;
+            const name = this.app.getProfiles().profiles.find(p => p.id === id)?.name;
+            this._downloadFile('json', this.app.exportProfile(id), 'application/json', `${name}-profile`);
+        });
+
+        this.elements.importProfileBtn?.addEventListener('click', () => {
+            this.elements.importProfileInput?.click();
+        });
+
+        this.elements.importProfileInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            const text = await file.text();
+            attempt(() => {
+                const profile = this.app.importProfile(text);
+                alert(`Imported profile "${profile.name}". Select it to apply its settings.`);
+            });
+        });
+
+        this.app.onProfiles('profilesChanged', () => this._renderProfiles());
+        this.app.onProfiles('modifiedChanged', () => this._updateProfileStatus());
+        this.app.onProfiles('profileApplied', () => {
+            this._syncUIWithSettings();
+            this._updateMarginsUI();
+        });
+
+        this._renderProfiles();
+    }
+
+    /**
+     * Fill the profile picker
+     * @private
+     */
+    _renderProfiles() {
+        const select = this.elements.profileSelect;
+        if (!select) return;
+
+        const { profiles, activeId } = this.app.getProfiles();
+        select.innerHTML = '';
+
+        if (!activeId) {
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = profiles.length > 0 ? 'Choose a profile…' : 'No profiles yet';
+            select.appendChild(none);
+        }
+
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+
+        select.value = activeId || '';
+        [this.elements.saveProfileBtn, this.elements.renameProfileBtn,
+            this.elements.deleteProfileBtn, this.elements.exportProfileBtn].forEach(btn => {
+            if (btn) btn.disabled = !activeId;
+        });
+
+        this._updateProfileStatus();
+    }
+
+    /**
+     * @private
+     */
+    _updateProfileStatus() {
+        if (!this.elements.profileStatus) return;
+        const { activeId, modified } = this.app.getProfiles();
+        this.elements.profileStatus.textContent = activeId && modified ? 'modified' : '';
+    }
+
+    /**
+     * Setup per-book settings listeners
+     * @private
+     */
+    _setupBookSettingsListeners() {
+        this.elements.pinToBook?.addEventListener('change', (e) => {
+            this.app.setPinToBook(e.target.checked);
+        });
+
+        this.elements.pinBookSettingsBtn?.addEventListener('click', () => {
+            if (!this.app.pinBookSettings()) {
+                alert('Open a book first - settings are pinned to the open book.');
+            }
+        });
+
+        this.elements.resetBookSettingsBtn?.addEventListener('click', () => {
+            this.app.resetBookSettings();
+        });
+
+        this.elements.bookOverridesList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-reset-key]');
+            if (button) this.app.resetBookSettings(button.dataset.resetKey);
+        });
+
+        this.app.onBookSettings('overridesChanged', (data) => this._renderBookOverrides(data));
+
+        // Book values replaced the global ones (or the other way round)
+        this.app.onBookSettings('settingsApplied', () => {
+            this._syncUIWithSettings();
+            this._updateMarginsUI();
+        });
+
+        this._renderBookOverrides(this.app.getBookSettings());
+    }
+
+    /**
+     * List the open book's overrides and mark their controls
+     * @private
+     */
+    _renderBookOverrides({ bookId, overrides }) {
+        const settings = {
+            font: { label: 'Font', el: this.elements.fontSelect },
+            fontSize: { label: 'Font size', el: this.elements.fontsizeSlider, format: v => `${v}px` },
+            lineHeight: { label: 'Line height', el: this.elements.lineheightSlider },
+            theme: { label: 'Theme', el: this.elements.themeSelect },
+            marginL: { label: 'Left margin', el: this.elements.marginLeftSlider, format: v => `${v}px` },
+            marginR: { label: 'Right margin', el: this.elements.marginRightSlider, format: v => `${v}px` },
+            'flow.speed': { label: 'Speed', el: this.elements.speedSlider, format: v => `${v} WPM` }
+        };
+
+        Object.entries(settings).forEach(([key, { el }]) => {
+            const group = el?.closest('.control-group');
+            if (!group) return;
+            group.classList.toggle('overridden', key in overrides);
+            group.title = key in overrides ? 'Set for this book' : '';
+        });
+
+        const list = this.elements.bookOverridesList;
+        if (!list) return;
+
+        const keys = Object.keys(overrides);
+        if (!bookId || keys.length === 0) {
+            list.innerHTML = `<div class="book-overrides-empty">${bookId
+                ? 'This book uses the global settings.'
+                : 'Open a book to give it its own settings.'}</div>`;
+            return;
+        }
+
+        list.innerHTML = '';
+        keys.forEach(key => {
+            const { label, el, format } = settings[key] || { label: key };
+            const value = overrides[key];
+            // Show option names (e.g. "Lora") instead of keys for selects
+            const option = el?.tagName === 'SELECT'
+                ? Array.from(el.options).find(o => o.value === value)
+                : null;
+
+            const row = document.createElement('div');
+            row.className = 'book-override-row';
+
+            const text = document.createElement('span');
+            text.textContent = `${label}: ${option ? option.textContent : format ? format(value) : value}`;
+
+            const reset = document.createElement('button');
+            reset.dataset.resetKey = key;
+            reset.title = 'Use the global setting';
+            reset.textContent = '↺';
+
+            row.append(text, reset);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Setup reading stats dashboard listeners
+     * @private
+     */
+    _setupStatsListeners() {
+        const panel = this.elements.statsPanel;
+        if (!panel) return;
+
+        this.elements.statsBtn?.addEventListener('click', () => {
+            panel.style.display = '';
+            this._renderStats();
+        });
+
+        this.elements.statsCloseBtn?.addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) panel.style.display = 'none';
+        });
+
+        this.elements.statsRangeSelect?.addEventListener('change', () => this._renderStats());
+
+        this.elements.resetStatsBtn?.addEventListener('click', () => {
+            if (confirm('Clear all daily reading stats? Per-book totals are kept.')) {
+                this.app.resetReadingStats();
+                this._renderStats();
+            }
+        });
+    }
+
+    /**
+     * Setup book info panel listeners
+     * @private
+     */
+    _setupBookInfoListeners() {
+        const panel = this.elements.bookInfoPanel;
+        if (!panel) return;
+
+        // Metadata of the open book, from 'metadataUpdated'
+        this._bookInfo = null;
+
+        this.elements.bookInfoBtn?.addEventListener('click', () => {
+            if (!this._bookInfo) return;
+            this._renderBookInfo();
+            panel.style.display = '';
+        });
+        this.elements.bookCover?.addEventListener('click', () => this.elements.bookInfoBtn?.click());
+
+        this.elements.bookInfoCloseBtn?.addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) panel.style.display = 'none';
+        });
+    }
+
+    /**
+     * Fill the book info panel from the open book's metadata
+     * @private
+     */
+    _renderBookInfo() {
+        const info = this._bookInfo;
+        if (!info) return;
+
+        this._showCover(this.elements.bookInfoCover, info.cover);
+        if (this.elements.bookInfoTitle) {
+            this.elements.bookInfoTitle.textContent = info.title;
+        }
+        if (this.elements.bookInfoAuthor) {
+            this.elements.bookInfoAuthor.textContent = info.author;
+        }
+
+        const fields = this.elements.bookInfoFields;
+        if (fields) {
+            fields.innerHTML = '';
+            [
+                ['Publisher', info.publisher],
+                ['Published', (info.publicationDate || '').split('T')[0]],
+                ['Language', this._languageName(info.language)],
+                ['Rights', info.rights],
+                ...(info.identifiers || []).map(id => [id.scheme || 'Identifier', id.value])
+            ].filter(([, value]) => value).forEach(([label, value]) => {
+                const dt = document.createElement('dt');
+                dt.textContent = label;
+                const dd = document.createElement('dd');
+                dd.textContent = value;
+                fields.append(dt, dd);
+            });
+        }
+
+        // Descriptions are often HTML; show them as plain text
+        if (this.elements.bookInfoDescription) {
+            const description = info.description
+                ? new DOMParser().parseFromString(info.description, 'text/html').body.textContent.trim()
+                : '';
+            this.elements.bookInfoDescription.textContent = description || 'No description.';
+        }
+    }
+
+    /**
+     * Show a cover image, or the placeholder when there is none
+     * @private
+     */
+    _showCover(el, url) {
+        if (!el) return;
+
+        el.textContent = '';
+        el.classList.toggle('has-cover', !!url);
+        if (url) {
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = '';
+            el.appendChild(img);
+        } else {
+            el.textContent = '🐆';
+        }
+    }
+
+    /**
+     * "French (fr)" for a language code, where the browser knows it
+     * @private
+     */
+    _languageName(code) {
+        if (!code) return '';
+        try {
+            const name = new Intl.DisplayNames([navigator.language], { type: 'language' }).of(code);
+            return name && name !== code ? `${name} (${code})` : code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Render the stats dashboard
+     * @private
+     */
+    async _renderStats() {
+        const range = parseInt(this.elements.statsRangeSelect?.value, 10) || 14;
+        const { days, books } = await this.app.getReadingStats(range);
+
+        const active = days.filter(day => day.minutes > 0);
+        const totalMinutes = active.reduce((sum, day) => sum + day.minutes, 0);
+        const totalWords = active.reduce((sum, day) => sum + day.words, 0);
+        const chapters = active.reduce((sum, day) => sum + day.chapters, 0);
+        const today = days[days.length - 1];
+
+        if (this.elements.statsSummary) {
+            const tiles = [
+                [`${Math.round(today.minutes)} min`, 'Today'],
+                [`${Math.round(totalMinutes)} min`, `Last ${range} days`],
+                [totalWords.toLocaleString(), 'Words read'],
+                [totalMinutes > 0 ? `${Math.round(totalWords / totalMinutes)} WPM` : '–', 'Effective speed'],
+                [chapters.toLocaleString(), 'Chapters finished']
+            ];
+            this.elements.statsSummary.innerHTML = tiles.map(([value, label]) =>
+                `<div class="stats-tile"><div class="stats-tile-value">${value}</div>` +
+                `<div class="stats-tile-label">${label}</div></div>`
+            ).join('');
+        }
+
+        this._renderBarChart(this.elements.statsMinutesChart, days, 'minutes', v => `${Math.round(v)} min`);
+        this._renderBarChart(this.elements.statsWordsChart, days, 'words', v => `${v.toLocaleString()} words`);
+        this._renderTrendChart(this.elements.statsWpmChart, active);
+        this._renderStatsBooks(books);
+    }
+
+    /**
+     * One bar per day
+     * @private
+     */
+    _renderBarChart(el, days, field, format) {
+        if (!el) return;
+
+        const max = Math.max(...days.map(day => day[field]), 1);
+        // Label every day for short ranges, otherwise about 7 labels
+        const labelEvery = Math.ceil(days.length / 7);
+
+        el.innerHTML = '';
+        days.forEach((day, i) => {
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.classList.toggle('empty', day[field] === 0);
+            bar.style.height = `${(day[field] / max) * 100}%`;
+            bar.title = `${day.date}: ${format(day[field])}`;
+
+            if ((days.length - 1 - i) % labelEvery === 0) {
+                const label = document.createElement('span');
+                label.className = 'stats-bar-label';
+                label.textContent = day.date.slice(5);
+                bar.appendChild(label);
+            }
+            el.appendChild(bar);
+        });
+    }
+
+    /**
+     * Effective vs configured WPM per reading day
+     * @private
+     */
+    _renderTrendChart(el, days) {
+        if (!el) return;
+
+        if (days.length < 2) {
+            el.innerHTML = '<div class="stats-empty">Read in flow or RSVP mode on at least two days to see a trend.</div>';
+            return;
+        }
+
+        const width = 600;
+        const height = 140;
+        const pad = { top: 10, right: 10, bottom: 20, left: 40 };
+        const values = days.flatMap(day => [day.effectiveWpm, day.configuredWpm]);
+        const min = Math.max(0, Math.min(...values) - 20);
+        const max = Math.max(...values) + 20;
+
+        const x = i => pad.left + (i / (days.length - 1)) * (width - pad.left - pad.right);
+        const y = v => pad.top + (1 - (v - min) / (max - min)) * (height - pad.top - pad.bottom);
+        const line = field => days.map((day, i) => `${x(i).toFixed(1)},${y(day[field]).toFixed(1)}`).join(' ');
+
+        el.innerHTML =
+            `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">` +
+            `<text class="axis-label" x="4" y="${y(max) + 10}">${Math.round(max)}</text>` +
+            `<text class="axis-label" x="4" y="${y(min)}">${Math.round(min)}</text>` +
+            `<text class="axis-label" x="${pad.left}" y="${height - 4}">${days[0].date.slice(5)}</text>` +
+            `<text class="axis-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${days[days.length - 1].date.slice(5)}</text>` +
+            `<polyline class="line-configured" points="${line('configuredWpm')}"/>` +
+            `<polyline class="line-effective" points="${line('effectiveWpm')}"/>` +
+            `</svg>`;
+    }
+
+    /**
+     * Per-book progress and totals
+     * @private
+     */
+    _renderStatsBooks(books) {
+        const el = this.elements.statsBooks;
+        if (!el) return;
+
+        if (books.length === 0) {
+            el.innerHTML = '<div class="stats-empty">No books in the library yet.</div>';
+            return;
+        }
+
+        el.innerHTML = '';
+        books.forEach(book => {
+            const row = document.createElement('div');
+            row.className = 'stats-book';
+
+            const title = document.createElement('div');
+            title.className = 'stats-book-title';
+            title.textContent = book.title;
+
+            const numbers = document.createElement('div');
+            numbers.className = 'stats-book-numbers';
+            numbers.textContent = `${Math.round(book.progress * 100)}% · ${Math.round(book.minutes)} min · ` +
+                `${book.words.toLocaleString()} words` + (book.effectiveWpm ? ` · ${book.effectiveWpm} WPM` : '');
+
+            const progress = document.createElement('div');
+            progress.className = 'library-progress';
+            progress.innerHTML = `<div class="library-progress-fill" style="width: ${Math.round(book.progress * 100)}%"></div>`;
+
+            row.append(title, numbers, progress);
+            el.appendChild(row);
+        });
+    }
+
+    /**
+     * Back to the "no book" sidebar after the open book was deleted
+     * @private
+     */
+    _resetBookUI() {
+        if (this.elements.bookTitle) {
+            this.elements.bookTitle.textContent = 'No Book Loaded';
+        }
+        if (this.elements.bookAuthor) {
+            this.elements.bookAuthor.textContent = 'Upload an EPUB to begin';
+        }
+        if (this.elements.chaptersList) {
+            this.elements.chaptersList.innerHTML = '';
+        }
+    }
+
+    /**
+     * Setup UI toggle listeners (sidebars, sections)
+     * @private
+     */
+    _setupUIToggleListeners() {
+        this.elements.chaptersToggle?.addEventListener('click', () => {
+            this.elements.chaptersSidebar?.classList.toggle('collapsed');
+        });
+
+        this.elements.sidebarToggle?.addEventListener('click', () => {
+            this.elements.sidebar?.classList.toggle('collapsed');
+        });
+
+        // Collapsible sections
+        document.querySelectorAll('.section-header').forEach(header => {
+            header.addEventListener('click', () => {
+                const section = header.dataset.section;
+                const content = document.querySelector(`[data-content="${section}"]`);
+                if (content) {
+                    content.classList.toggle('collapsed');
+                    header.classList.toggle('collapsed');
+                }
+            });
+        });
+    }
+
+    /**
+     * Setup chapter navigation listeners
+     * @private
+     */
+    _setupChapterNavigationListeners() {
+        this.elements.prevChapterBtn?.addEventListener('click', () => {
+            this.app.previousChapter();
+        });
+
+        this.elements.nextChapterBtn?.addEventListener('click', () => {
+            this.app.nextChapter();
+        });
+
+        // Back/forward through jumps (links, TOC, bookmarks, search results)
+        this.elements.navBackBtn?.addEventListener('click', () => {
+            this.app.goBack();
+        });
+
+        this.elements.navForwardBtn?.addEventListener('click', () => {
+            this.app.goForward();
+        });
+
+        this.elements.bookmarkBtn?.addEventListener('click', () => {
+            this.app.addBookmark();
+        });
+
+        // Resume offer for books opened before
+        this.elements.resumeBtn?.addEventListener('click', () => {
+            this.app.resumeReading();
+        });
+
+        this.elements.resumeDismissBtn?.addEventListener('click', () => {
+            this.app.dismissResume();
+        });
+    }
+
+    /**
+     * Setup book search listeners
+     * Searches as the user types (debounced), right away on Enter or an option change
+     * @private
+     */
+    _setupSearchListeners() {
+        const input = this.elements.searchInput;
+        if (!input) return;
+
+        let debounce = null;
+        const run = () => {
+            clearTimeout(debounce);
+            this._runSearch(input.value);
+        };
+
+        input.addEventListener('input', () => {
+            clearTimeout(debounce);
+            debounce = setTimeout(run, 300);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                run();
+            } else if (e.key === 'Escape') {
+                input.value = '';
+                run();
+            }
+        });
+
+        [this.elements.searchCase, this.elements.searchDiacritics, this.elements.searchWholeWord]
+            .forEach(checkbox => checkbox?.addEventListener('change', run));
+    }
+
+    /**
+     * @private
+     */
+    async _runSearch(query) {
+        if (!query.trim()) {
+            this._searchPending = false;
+            this.app.clearSearch();
+            this._renderSearchResults(null);
+            return;
+        }
+        if (!this.app.getBookId()) {
+            this._renderSearchResults(null, 'Open an EPUB to search it.');
+            return;
+        }
+
+        this._searchPending = true;
+        try {
+            const result = await this.app.search(query, {
+                caseSensitive: !!this.elements.searchCase?.checked,
+                diacriticSensitive: !!this.elements.searchDiacritics?.checked,
+                wholeWord: !!this.elements.searchWholeWord?.checked
+            });
+            // null: a newer search replaced this one
+            if (result) {
+                this._searchPending = false;
+                this._renderSearchResults(result);
+            }
+        } catch (error) {
+            this._searchPending = false;
+            console.error('❌ Search failed:', error);
+            this._renderSearchResults(null, `Search failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * List search hits (or clear the list and show a status message)
+     * @private
+     */
+    _renderSearchResults(result, status = '') {
+        const list = this.elements.searchResults;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (!result) {
+            if (this.elements.searchStatus) {
+                this.elements.searchStatus.textContent = status;
+            }
+            return;
+        }
+
+        const chapters = new Set(result.hits.map(hit => hit.chapterIndex)).size;
+        let text = result.hits.length === 0
+            ? 'No matches'
+            : `${result.hits.length} match${result.hits.length === 1 ? '' : 'es'} in ${chapters} chapter${chapters === 1 ? '' : 's'}`;
+        if (result.truncated) {
+            text = `First ${result.hits.length} matches`;
+        }
+        if (this.elements.searchStatus) {
+            this.elements.searchStatus.textContent = text;
+        }
+
+        result.hits.forEach((hit, index) => {
+            const div = document.createElement('div');
+            div.className = 'search-result';
+
+            const chapter = document.createElement('span');
+            chapter.className = 'search-result-chapter';
+            chapter.textContent = this._truncateText(hit.chapterLabel || `Chapter ${hit.chapterIndex + 1}`, 40);
+
+            const context = document.createElement('span');
+            context.className = 'search-result-context';
+            const mark = document.createElement('mark');
+            mark.textContent = hit.context.match;
+            context.append(
+                hit.context.before ? `…${hit.context.before} ` : '',
+                mark,
+                hit.context.after ? ` ${hit.context.after}…` : ''
+            );
+
+            div.append(chapter, context);
+            div.addEventListener('click', () => {
+                list.querySelectorAll('.search-result.active').forEach(el => el.classList.remove('active'));
+                div.classList.add('active');
+                this.app.goToSearchResult(index);
+            });
+
+            list.appendChild(div);
+        });
+    }
+
+    /**
+     * Setup highlight toolbar listeners
+     * The toolbar opens for a text selection (new highlight) or a tapped highlight (edit)
+     * @private
+     */
+    _setupHighlightListeners() {
+        const toolbar = this.elements.highlightToolbar;
+        if (!toolbar) return;
+
+        // { range } for a new highlight, { id } for an existing one
+        this._highlightTarget = null;
+
+        // Keep the text selection while using the toolbar
+        toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+
+        document.addEventListener('mousedown', (e) => {
+            if (!toolbar.contains(e.target)) this._hideHighlightToolbar();
+        });
+
+        ['mouseup', 'touchend'].forEach(ev => document.addEventListener(ev, (e) => {
+            if (toolbar.contains(e.target)) return;
+
+            // Let the browser finish updating the selection first
+            setTimeout(() => {
+                const range = this.app.getSelectedRange();
+                const selection = window.getSelection();
+                if (!range || !selection.rangeCount) return;
+
+                this._showHighlightToolbar({ range }, selection.getRangeAt(0).getBoundingClientRect());
+            }, 0);
+        }));
+
+        toolbar.querySelectorAll('.highlight-swatch').forEach(swatch => {
+            swatch.addEventListener('click', () => {
+                this._saveHighlight({ color: swatch.dataset.color });
+            });
+        });
+
+        this.elements.highlightNoteBtn?.addEventListener('click', () => {
+            const current = this._highlightTarget?.id
+                ? this.app.getHighlight(this._highlightTarget.id)?.note
+                : '';
+            const note = prompt('Note for this highlight:', current || '');
+            if (note !== null) {
+                this._saveHighlight({ note });
+            }
+        });
+
+        this.elements.highlightRemoveBtn?.addEventListener('click', () => {
+            if (this._highlightTarget?.id) {
+                this.app.removeHighlight(this._highlightTarget.id);
+            }
+            this._hideHighlightToolbar();
+        });
+
+        // Export / import
+        this._updateAnnotationsCount({ bookId: null, annotations: [] });
+        this.app.onAnnotation('annotationsChanged', (data) => this._updateAnnotationsCount(data));
+
+        this.elements.copyAnnotationsBtn?.addEventListener('click', async () => {
+            const markdown = this.app.exportAnnotations('markdown');
+            if (!markdown) return;
+            try {
+                await navigator.clipboard.writeText(markdown);
+                this.elements.copyAnnotationsBtn.textContent = '✅ Copied';
+                setTimeout(() => {
+                    this.elements.copyAnnotationsBtn.textContent = '📋 Copy Markdown';
+                }, 1500);
+            } catch (error) {
+                console.error('Failed to copy notes:', error);
+                alert('Failed to copy to clipboard. Use the Markdown download instead.');
+            }
+        });
+
+        this.elements.exportMarkdownBtn?.addEventListener('click', () => {
+            const markdown = this.app.exportAnnotations('markdown');
+            if (markdown) this._downloadFile('md', markdown, 'text/markdown');
+        });
+
+        this.elements.exportJsonBtn?.addEventListener('click', () => {
+            const json = this.app.exportAnnotations('json');
+            if (json) this._downloadFile('json', json, 'application/json');
+        });
+
+        this.elements.importJsonBtn?.addEventListener('click', () => {
+            this.elements.importJsonInput?.click();
+        });
+
+        this.elements.importJsonInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const { imported, skipped } = this.app.importAnnotations(await file.text());
+                alert(`Imported ${imported} highlight(s)` + (skipped ? `, skipped ${skipped} already present.` : '.'));
+            } catch (error) {
+                console.error('Failed to import notes:', error);
+                alert(`Import failed: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _updateAnnotationsCount({ bookId, annotations }) {
+        const hasBook = !!bookId;
+
+        if (this.elements.annotationsCount) {
+            this.elements.annotationsCount.textContent = !hasBook
+                ? 'Open a book to highlight text'
+                : `${annotations.length} highlight(s) in this book`;
+        }
+        [this.elements.copyAnnotationsBtn, this.elements.exportMarkdownBtn, this.elements.exportJsonBtn]
+            .forEach(btn => {
+                if (btn) btn.disabled = !hasBook || annotations.length === 0;
+            });
+    }
+
+    /**
+     * Save text as a file named after the book
+     * @private
+     */
+    _downloadFile(extension, text, type, baseName = null) {
+        const title = baseName || `${this.elements.bookTitle?.textContent || ''}-notes`;
+        const name = title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'notes';
+
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}.${extension}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Create or update the toolbar's highlight
+     * @private
+     */
+    _saveHighlight(changes) {
+        const target = this._highlightTarget;
+        if (!target) return;
+
+        if (target.id) {
+            this.app.updateHighlight(target.id, changes);
+        } else if (!this.app.addHighlight({ ...changes, range: target.range })) {
+            alert('Highlights are saved per book - open an EPUB to use them.');
+        }
+
+        window.getSelection()?.removeAllRanges();
+        this._hideHighlightToolbar();
+    }
+
+    /**
+     * @private
+     */
+    _showHighlightToolbar(target, rect) {
+        const toolbar = this.elements.highlightToolbar;
+        if (!toolbar) return;
+
+        const highlight = target.id ? this.app.getHighlight(target.id) : null;
+        if (target.id && !highlight) return;
+
+        this._highlightTarget = target;
 
-            } catch (error) {
-                console.error('Failed to read clipboard:', error);
-                alert('Failed to read clipboard. Make sure you granted clipboard permissions.');
-            }
+        toolbar.querySelectorAll('.highlight-swatch').forEach(swatch => {
+            swatch.classList.toggle('selected', swatch.dataset.color === highlight?.color);
         });
+        if (this.elements.highlightRemoveBtn) {
+            this.elements.highlightRemoveBtn.style.display = highlight ? '' : 'none';
+        }
+        if (this.elements.highlightNoteText) {
+            this.elements.highlightNoteText.textContent = highlight?.note || '';
+        }
+
+        toolbar.style.left = `${rect.left + rect.width / 2}px`;
+        toolbar.style.top = `${rect.top}px`;
+        toolbar.style.display = '';
     }
 
     /**
-     * Setup UI toggle listeners (sidebars, sections)
      * @private
      */
-    _setupUIToggleListeners() {
-        this.elements.chaptersToggle?.addEventListener('click', () => {
-            this.elements.chaptersSidebar?.classList.toggle('collapsed');
+    _hideHighlightToolbar() {
+        this._highlightTarget = null;
+        if (this.elements.highlightToolbar) {
+            this.elements.highlightToolbar.style.display = 'none';
+        }
+    }
+
+    /**
+     * Setup note popover listeners
+     * @private
+     */
+    _setupNoteListeners() {
+        const popover = this.elements.notePopover;
+        if (!popover) return;
+
+        this.elements.noteCloseBtn?.addEventListener('click', () => this.app.closeNote());
+
+        document.addEventListener('mousedown', (e) => {
+            if (popover.style.display === 'none' || popover.contains(e.target)) return;
+            // Links in the book open the next note (or navigate) themselves
+            if (e.target.closest('.ebook-text-content a[href]')) return;
+            this.app.closeNote();
         });
 
-        this.elements.sidebarToggle?.addEventListener('click', () => {
-            this.elements.sidebar?.classList.toggle('collapsed');
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && popover.style.display !== 'none') {
+                this.app.closeNote();
+            }
         });
 
-        // Collapsible sections
-        document.querySelectorAll('.section-header').forEach(header => {
-            header.addEventListener('click', () => {
-                const section = header.dataset.section;
-                const content = document.querySelector(`[data-content="${section}"]`);
-                if (content) {
-                    content.classList.toggle('collapsed');
-                    header.classList.toggle('collapsed');
-                }
-            });
+        // Links in a note lead back to the text (or out of the book)
+        this.elements.noteContent?.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link) return;
+
+            e.preventDefault();
+            const href = link.getAttribute('href');
+            if (/^(https?:|mailto:|tel:)/.test(href)) {
+                window.open(href, '_blank', 'noopener');
+            } else {
+                this.app.closeNote();
+            }
         });
     }
 
     /**
-     * Setup chapter navigation listeners
+     * Show a note next to the link that opened it
      * @private
      */
-    _setupChapterNavigationListeners() {
-        this.elements.prevChapterBtn?.addEventListener('click', () => {
-            this.app.previousChapter();
-        });
+    _showNotePopover(data) {
+        const popover = this.elements.notePopover;
+        if (!popover || !this.elements.noteContent) return;
+
+        // Sanitised by the EPUB service
+        this.elements.noteContent.innerHTML = data.html;
+        this.elements.noteContent.scrollTop = 0;
+        if (this.elements.noteLabel) {
+            this.elements.noteLabel.textContent = data.label ? `Note ${data.label}` : 'Note';
+        }
+        popover.style.display = '';
 
-        this.elements.nextChapterBtn?.addEventListener('click', () => {
-            this.app.nextChapter();
-        });
+        // Below the link, or above it when there's no room, and always on screen
+        const gap = 8;
+        const { width, height } = popover.getBoundingClientRect();
+        const rect = data.rect || {
+            top: window.innerHeight / 2, bottom: window.innerHeight / 2, left: window.innerWidth / 2, width: 0
+        };
+        const left = Math.min(
+            Math.max(gap, rect.left + rect.width / 2 - width / 2),
+            window.innerWidth - width - gap
+        );
+        const top = rect.bottom + gap + height <= window.innerHeight - gap
+            ? rect.bottom + gap
+            : Math.max(gap, rect.top - height - gap);
+
+        popover.style.left = `${left}px`;
+        popover.style.top = `${top}px`;
+    }
+
+    /**
+     * @private
+     */
+    _hideNotePopover() {
+        if (this.elements.notePopover) {
+            this.elements.notePopover.style.display = 'none';
+        }
+        if (this.elements.noteContent) {
+            this.elements.noteContent.innerHTML = '';
+        }
     }
 
     /**
@@ -273,6 +1526,13 @@ class UIController {
             isFlow ? this.app.stopFlow() : this.app.startFlow();
         });
 
+        // RSVP mode
+        this.elements.rsvpBtn?.addEventListener('click', () => {
+            const currentState = this.app.getReaderState();
+            const isRSVP = currentState?.mode === 'rsvp';
+            isRSVP ? this.app.stopFlow() : this.app.startRSVP();
+        });
+
         // Bionic mode
         this.elements.bionicBtn?.addEventListener('click', () => {
             this.app.toggleBionic();
@@ -310,6 +1570,18 @@ class UIController {
                 action: v => this.app.setFocusWidth(v),
                 label: v => v
             },
+            {
+                slider: this.elements.rsvpChunkSlider,
+                value: this.elements.rsvpChunkValue,
+                action: v => this.app.setRSVPChunkSize(v),
+                label: v => v
+            },
+            {
+                slider: this.elements.rewindWordsSlider,
+                value: this.elements.rewindWordsValue,
+                action: v => this.app.setRewind(this.app.getCurrentSettings().flow.rewindMode, v),
+                label: v => v
+            },
             {
                 slider: this.elements.scrollSlider,
                 value: this.elements.scrollValue,
@@ -327,7 +1599,31 @@ class UIController {
                 value: this.elements.lineheightValue,
                 action: v => this.app.setLineHeight(v),
                 label: v => v.toFixed(1)
-            }
+            },
+            {
+                slider: this.elements.adaptiveMinSlider,
+                value: this.elements.adaptiveMinValue,
+                action: v => {
+                    this.app.setAdaptiveSpeedBounds(v, this.app.getCurrentSettings().adaptive.maxSpeed);
+                    this._syncAdaptiveBounds();
+                },
+                label: v => `${v} WPM`
+            },
+            {
+                slider: this.elements.adaptiveMaxSlider,
+                value: this.elements.adaptiveMaxValue,
+                action: v => {
+                    this.app.setAdaptiveSpeedBounds(this.app.getCurrentSettings().adaptive.minSpeed, v);
+                    this._syncAdaptiveBounds();
+                },
+                label: v => `${v} WPM`
+            },
+            ...['sentence', 'clause', 'paragraph', 'newline'].map(kind => ({
+                slider: this.elements[`${kind}PauseSlider`],
+                value: this.elements[`${kind}PauseValue`],
+                action: v => this.app.setPauseMultiplier(kind, v),
+                label: v => `${v.toFixed(1)}×`
+            }))
         ];
 
         sliders.forEach(({ slider, value, action, label }) => {
@@ -338,6 +1634,26 @@ class UIController {
             });
         });
 
+        // Focus grouping selector
+        this.elements.chunkingSelect?.addEventListener('change', (e) => {
+            this.app.setChunking(e.target.value);
+        });
+
+        // Rewind selector
+        this.elements.rewindSelect?.addEventListener('change', (e) => {
+            this.app.setRewind(e.target.value);
+        });
+
+        // Variable pacing checkbox
+        this.elements.variablePacing?.addEventListener('change', (e) => {
+            this.app.setVariablePacing(e.target.checked);
+        });
+
+        // Adaptive speed checkbox
+        this.elements.adaptiveSpeed?.addEventListener('change', (e) => {
+            this.app.setAdaptiveSpeed(e.target.checked);
+        });
+
         // Font selector
         this.elements.fontSelect?.addEventListener('change', (e) => {
             this.app.setFont(e.target.value);
@@ -360,6 +1676,101 @@ class UIController {
         });
     }
 
+    /**
+     * Setup reading session listeners
+     * @private
+     */
+    _setupSessionListeners() {
+        this.elements.sessionTypeSelect?.addEventListener('change', (e) => {
+            this._updateSessionTargetInput(e.target.value);
+        });
+
+        this.elements.sessionBtn?.addEventListener('click', () => {
+            if (this.app.getSession()) {
+                this.app.endSession();
+                return;
+            }
+
+            const type = this.elements.sessionTypeSelect?.value || 'time';
+            const target = parseFloat(this.elements.sessionTargetInput?.value);
+            const config = { type };
+            if (type === 'time') config.minutes = target;
+            if (type === 'words') config.words = target;
+
+            this.app.startSession(config);
+        });
+    }
+
+    /**
+     * Show the target input for the selected session type
+     * @private
+     */
+    _updateSessionTargetInput(type) {
+        const session = this.app.getCurrentSettings().session;
+
+        if (this.elements.sessionTargetGroup) {
+            this.elements.sessionTargetGroup.style.display = type === 'chapter' ? 'none' : '';
+        }
+        if (this.elements.sessionTargetUnit) {
+            this.elements.sessionTargetUnit.textContent = type === 'words' ? 'words' : 'minutes';
+        }
+        if (this.elements.sessionTargetInput) {
+            this.elements.sessionTargetInput.min = type === 'words' ? 50 : 1;
+            this.elements.sessionTargetInput.step = type === 'words' ? 50 : 1;
+            this.elements.sessionTargetInput.value = type === 'words' ? session.words : session.minutes;
+        }
+    }
+
+    /**
+     * Setup keyboard shortcut remapping
+     * @private
+     */
+    _setupShortcutListeners() {
+        this._renderShortcuts();
+        this.app.onSettingChange('keymap', () => this._renderShortcuts());
+
+        this.elements.shortcutsList?.addEventListener('click', async (e) => {
+            const button = e.target.closest('.shortcut-key');
+            if (!button) return;
+
+            button.textContent = 'Press a key…';
+            button.classList.add('active');
+            await this.app.recordKeyBinding(button.dataset.action);
+            this._renderShortcuts();
+        });
+
+        this.elements.resetShortcutsBtn?.addEventListener('click', () => {
+            this.app.resetKeyBindings();
+        });
+    }
+
+    /**
+     * Render the shortcut list (one button per action; click to rebind)
+     * @private
+     */
+    _renderShortcuts() {
+        const list = this.elements.shortcutsList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.app.getKeyBindings().forEach(({ action, label, keys }) => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const button = document.createElement('button');
+            button.className = 'shortcut-key';
+            button.dataset.action = action;
+            button.textContent = keys.length ? keys.join(' / ') : '—';
+            button.title = 'Click, then press the new key (Esc to cancel)';
+
+            row.append(name, button);
+            list.appendChild(row);
+        });
+    }
+
     /**
      * Setup reset settings listener
      * @private
@@ -394,14 +1805,98 @@ class UIController {
      * @private
      */
     _subscribeToReaderEvents() {
-        // Mode changes (flow/normal)
+        // Mode changes (flow/rsvp/normal)
         this.app.on('onModeChange', (mode) => {
             this._updateFlowButton(mode);
+            this._updateSpeedRange();
+            this._hideHighlightToolbar();
+        });
+
+        // Tapping a highlight in normal mode opens it for editing
+        this.app.on('onHighlightClick', ({ id, rect }) => {
+            this._showHighlightToolbar({ id }, rect);
+        });
+
+        // Speed changes from outside the slider (adaptive speed, per-book speed)
+        this.app.on('onSpeedChange', (speed) => {
+            if (this.elements.speedSlider) {
+                this.elements.speedSlider.value = speed;
+            }
+            if (this.elements.speedValue) {
+                this.elements.speedValue.textContent = `${speed} WPM`;
+            }
+        });
+
+        // Reading sessions
+        this.app.onSession('sessionStarted', (status) => {
+            if (this.elements.sessionSummary) {
+                this.elements.sessionSummary.style.display = 'none';
+            }
+            if (this.elements.sessionBtn) {
+                this.elements.sessionBtn.classList.add('active');
+                this.elements.sessionBtn.textContent = '⏹ End Session';
+            }
+            this._updateSessionBadge(status);
         });
+        this.app.onSession('sessionTick', (status) => this._updateSessionBadge(status));
+        this.app.onSession('sessionCompleted', (summary) => this._showSessionSummary(summary));
+        this.app.onSession('sessionEnded', (summary) => this._showSessionSummary(summary));
+    }
+
+    /**
+     * Update the countdown badge over the reader
+     * @private
+     */
+    _updateSessionBadge(status) {
+        const badge = this.elements.sessionBadge;
+        if (!badge) return;
+
+        if (!status) {
+            badge.style.display = 'none';
+            return;
+        }
+
+        let text;
+        if (status.type === 'time') {
+            const seconds = Math.ceil(status.remaining / 1000);
+            text = `⏱️ ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+        } else {
+            text = `⏱️ ${status.remaining.toLocaleString()} words left`;
+        }
+
+        badge.textContent = text;
+        badge.style.display = '';
+    }
+
+    /**
+     * Show the end-of-session summary and reset the session controls
+     * @private
+     */
+    _showSessionSummary(summary) {
+        this._updateSessionBadge(null);
+
+        if (this.elements.sessionBtn) {
+            this.elements.sessionBtn.classList.remove('active');
+            this.elements.sessionBtn.textContent = '⏱️ Start Session';
+        }
+
+        const el = this.elements.sessionSummary;
+        if (!el) return;
+
+        const seconds = Math.round(summary.durationMs / 1000);
+        const duration = `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+        el.innerHTML =
+            `<div>${summary.completed ? '🏁 Goal reached!' : '⏹️ Session ended'}</div>` +
+            `<div>Time: <strong>${duration}</strong></div>` +
+            `<div>Words: <strong>${summary.wordsRead.toLocaleString()}</strong></div>` +
+            `<div>Effective speed: <strong>${summary.effectiveWpm} WPM</strong> ` +
+            `(set to ${summary.configuredWpm})</div>`;
+        el.style.display = '';
     }
 
     /**
-     * Update flow button based on mode
+     * Update flow and RSVP buttons based on mode
      * @private
      */
     _updateFlowButton(mode) {
@@ -409,6 +1904,46 @@ class UIController {
             this.elements.flowBtn.classList.toggle('active', mode === 'flow');
             this.elements.flowBtn.textContent = mode === 'flow' ? '⏸ Stop Flow' : '▶ Start Flow';
         }
+        if (this.elements.rsvpBtn) {
+            this.elements.rsvpBtn.classList.toggle('active', mode === 'rsvp');
+            this.elements.rsvpBtn.textContent = mode === 'rsvp' ? '⏸ Stop RSVP' : '⚡ Start RSVP';
+        }
+    }
+
+    /**
+     * Sync adaptive speed bound sliders (bounds are clamped against each other)
+     * @private
+     */
+    _syncAdaptiveBounds() {
+        const { minSpeed, maxSpeed } = this.app.getCurrentSettings().adaptive;
+
+        if (this.elements.adaptiveMinSlider) {
+            this.elements.adaptiveMinSlider.value = minSpeed;
+        }
+        if (this.elements.adaptiveMinValue) {
+            this.elements.adaptiveMinValue.textContent = `${minSpeed} WPM`;
+        }
+        if (this.elements.adaptiveMaxSlider) {
+            this.elements.adaptiveMaxSlider.value = maxSpeed;
+        }
+        if (this.elements.adaptiveMaxValue) {
+            this.elements.adaptiveMaxValue.textContent = `${maxSpeed} WPM`;
+        }
+    }
+
+    /**
+     * Update speed slider ceiling for the current mode (RSVP goes higher)
+     * @private
+     */
+    _updateSpeedRange() {
+        const readerState = this.app.getReaderState();
+        if (!readerState || !this.elements.speedSlider) return;
+
+        this.elements.speedSlider.max = readerState.maxSpeed;
+        this.elements.speedSlider.value = readerState.speed;
+        if (this.elements.speedValue) {
+            this.elements.speedValue.textContent = `${readerState.speed} WPM`;
+        }
     }
 
     // ========================================
@@ -426,6 +1961,10 @@ class UIController {
             this._updateMetadataUI(data);
         });
 
+        this.app.onEPUB('bookClosed', () => {
+            this._clearMetadataUI();
+        });
+
         this.app.onEPUB('chaptersExtracted', (data) => {
             this._renderChaptersList(data);
         });
@@ -451,11 +1990,54 @@ class UIController {
             console.log('✅ EPUB loaded:', data);
         });
 
+        this.app.onEPUB('bookmarksChanged', (data) => {
+            this._renderBookmarks(data.bookmarks);
+        });
+
+        this.app.onEPUB('searchIndexProgress', (data) => {
+            // Only the first search of a book waits for the index
+            if (this._searchPending && this.elements.searchStatus) {
+                this.elements.searchStatus.textContent = `Indexing… ${data.indexed}/${data.total} chapters`;
+            }
+        });
+
+        // Also fires when the book is closed or replaced
+        this.app.onEPUB('searchCleared', () => {
+            if (this.elements.searchInput) {
+                this.elements.searchInput.value = '';
+            }
+            this._renderSearchResults(null);
+        });
+
+        this.app.onEPUB('noteOpened', (data) => {
+            this._showNotePopover(data);
+        });
+
+        this.app.onEPUB('noteClosed', () => {
+            this._hideNotePopover();
+        });
+
+        this.app.onEPUB('resumeAvailable', (data) => {
+            if (this.elements.resumeText) {
+                const label = this._truncateText(data.label || `Chapter ${data.chapterIndex + 1}`, 40);
+                this.elements.resumeText.textContent = `Continue from “${label}”?`;
+            }
+            if (this.elements.resumeBanner) {
+                this.elements.resumeBanner.style.display = '';
+            }
+        });
+
+        this.app.onEPUB('resumeDismissed', () => {
+            if (this.elements.resumeBanner) {
+                this.elements.resumeBanner.style.display = 'none';
+            }
+        });
+
         console.log('✅ EPUB event listeners set up successfully');
     }
 
     /**
-     * Update metadata UI (book title, author)
+     * Update metadata UI (book title, author, cover)
      * @private
      */
     _updateMetadataUI(data) {
@@ -467,10 +2049,41 @@ class UIController {
         if (this.elements.bookAuthor) {
             this.elements.bookAuthor.textContent = data.author;
         }
+        this._showCover(this.elements.bookCover, data.cover);
+
+        this._bookInfo = data;
+        if (this.elements.bookInfoBtn) {
+            this.elements.bookInfoBtn.style.display = '';
+        }
+    }
+
+    /**
+     * Back to the empty header once the book is closed (its cover URL is gone)
+     * @private
+     */
+    _clearMetadataUI() {
+        if (this.elements.bookTitle) {
+            this.elements.bookTitle.textContent = 'No Book Loaded';
+        }
+        if (this.elements.bookAuthor) {
+            this.elements.bookAuthor.textContent = 'Upload an EPUB to begin';
+        }
+        this._showCover(this.elements.bookCover, null);
+
+        this._bookInfo = null;
+        if (this.elements.bookInfoBtn) {
+            this.elements.bookInfoBtn.style.display = 'none';
+        }
+        if (this.elements.bookInfoPanel) {
+            this.elements.bookInfoPanel.style.display = 'none';
+        }
     }
 
     /**
      * Render chapters list in sidebar
+     * Nested TOC entries become a collapsible tree; branches open as the
+     * reader reaches them (see _updateActiveChapter). Sections the TOC leaves
+     * out are listed unnumbered where they fall in reading order.
      * @private
      */
     _renderChaptersList(data) {
@@ -488,21 +2101,113 @@ class UIController {
 
         this.elements.chaptersList.innerHTML = '';
 
-        data.chapters.forEach((chapter) => {
-            const div = document.createElement('div');
-            div.className = 'chapter-item';
-            div.dataset.index = chapter.index;
+        const renderNodes = (nodes, parent, prefix) => {
+            let count = 0;
+            nodes.forEach((entry) => {
+                const number = entry.untitled ? '' : (prefix ? `${prefix}.${++count}` : `${++count}`);
+                const children = entry.children || [];
+
+                const node = document.createElement('div');
+                node.className = 'toc-node';
+
+                const div = document.createElement('div');
+                div.className = 'chapter-item';
+                div.classList.toggle('untitled', !!entry.untitled);
+                div.classList.toggle('unavailable', entry.chapterIndex === null);
+                div.dataset.index = entry.chapterIndex ?? '';
+                div.dataset.anchor = entry.anchor || '';
+                div.style.paddingLeft = `${12 + (entry.depth || 0) * 14}px`;
+
+                const toggle = document.createElement('button');
+                toggle.className = 'toc-toggle';
+                if (children.length > 0) {
+                    toggle.textContent = '▸';
+                    toggle.title = 'Show sections';
+                    toggle.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        node.classList.toggle('expanded');
+                    });
+                } else {
+                    toggle.disabled = true;
+                }
+
+                const numberEl = document.createElement('span');
+                numberEl.className = 'chapter-number';
+                numberEl.textContent = number;
+
+                const title = document.createElement('span');
+                title.className = 'chapter-title';
+                title.textContent = this._truncateText(entry.label || 'Untitled section', 60);
+
+                div.append(toggle, numberEl, title);
+                div.addEventListener('click', () => {
+                    // Entries whose file isn't in the book can't be opened
+                    if (entry.chapterIndex !== null) {
+                        this.app.loadChapter(entry.chapterIndex, entry.anchor || undefined);
+                    }
+                });
+                node.appendChild(div);
+
+                if (children.length > 0) {
+                    const childList = document.createElement('div');
+                    childList.className = 'toc-children';
+                    renderNodes(children, childList, number);
+                    node.appendChild(childList);
+                }
+
+                parent.appendChild(node);
+            });
+        };
+
+        renderNodes(data.toc, this.elements.chaptersList, '');
+
+        this._renderBookmarks(this._bookmarks || []);
+    }
+
+    /**
+     * Show bookmarks in the chapters list, each under its chapter
+     * @private
+     */
+    _renderBookmarks(bookmarks) {
+        this._bookmarks = bookmarks;
+
+        const list = this.elements.chaptersList;
+        if (!list) return;
+
+        list.querySelectorAll('.bookmark-item').forEach(el => el.remove());
+
+        // Insert in reverse so each chapter's bookmarks end up in reading order
+        [...bookmarks].reverse().forEach((bookmark) => {
+            const chapterItem = list.querySelector(`.chapter-item[data-index="${bookmark.chapterIndex}"]`);
+            if (!chapterItem) return;
 
-            div.innerHTML = `
-                <span class="chapter-number">${chapter.index + 1}</span>
-                <span class="chapter-title">${this._truncateText(chapter.label, 60)}</span>
-            `;
+            const div = document.createElement('div');
+            div.className = 'bookmark-item';
+            div.title = new Date(bookmark.createdAt).toLocaleString();
+
+            const icon = document.createElement('span');
+            icon.className = 'bookmark-icon';
+            icon.textContent = '🔖';
+
+            const snippet = document.createElement('span');
+            snippet.className = 'bookmark-snippet';
+            snippet.textContent = this._truncateText(bookmark.snippet || 'Bookmark', 60);
+
+            const remove = document.createElement('button');
+            remove.className = 'bookmark-remove';
+            remove.title = 'Remove bookmark';
+            remove.textContent = '✕';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.app.removeBookmark(bookmark.id);
+            });
 
+            div.append(icon, snippet, remove);
             div.addEventListener('click', () => {
-                this.app.loadChapter(chapter.index);
+                this.app.goToBookmark(bookmark.id);
             });
 
-            this.elements.chaptersList.appendChild(div);
+            chapterItem.after(div);
         });
     }
 
@@ -513,11 +2218,23 @@ class UIController {
     _updateActiveChapter(data) {
         console.log('📄 Chapter changed:', data);
 
+        // Several entries can share a chapter (anchors in one file): prefer the one opened
         const items = document.querySelectorAll('.chapter-item');
-        items.forEach((item, i) => {
-            if (i === data.index) {
+        const candidates = Array.from(items).filter(item => parseInt(item.dataset.index, 10) === data.index);
+        const activeItem = candidates.find(item => item.dataset.anchor === (data.anchor || '')) || candidates[0];
+
+        items.forEach((item) => {
+            item.classList.remove('has-active');
+            if (item === activeItem) {
                 item.classList.add('active');
 
+                // Open the branches above a nested entry and mark its parents
+                let parent = item.closest('.toc-node')?.parentElement?.closest('.toc-node');
+                for (; parent; parent = parent.parentElement.closest('.toc-node')) {
+                    parent.classList.add('expanded');
+                    parent.querySelector(':scope > .chapter-item')?.classList.add('has-active');
+                }
+
                 // Scroll sidebar to show active chapter
                 if (this.elements.chaptersList && item) {
                     if (data.isFirst) {
@@ -554,6 +2271,12 @@ class UIController {
         // Update button states
         this.elements.prevChapterBtn.disabled = !data.hasPrev;
         this.elements.nextChapterBtn.disabled = !data.hasNext;
+        if (this.elements.navBackBtn) {
+            this.elements.navBackBtn.disabled = !data.canGoBack;
+        }
+        if (this.elements.navForwardBtn) {
+            this.elements.navForwardBtn.disabled = !data.canGoForward;
+        }
         console.log(`🧭 Prev button: ${!data.hasPrev ? 'disabled' : 'enabled'}, Next button: ${!data.hasNext ? 'disabled' : 'enabled'}`);
     }
 
@@ -646,6 +2369,22 @@ class UIController {
             }
         }
 
+        // Focus grouping
+        if (this.elements.chunkingSelect) {
+            this.elements.chunkingSelect.value = settings.flow.chunking || 'fixed';
+        }
+
+        // Rewind on resume
+        if (this.elements.rewindSelect) {
+            this.elements.rewindSelect.value = settings.flow.rewindMode || 'off';
+        }
+        if (this.elements.rewindWordsSlider) {
+            this.elements.rewindWordsSlider.value = settings.flow.rewindWords;
+            if (this.elements.rewindWordsValue) {
+                this.elements.rewindWordsValue.textContent = settings.flow.rewindWords;
+            }
+        }
+
         // Flow scroll level
         if (this.elements.scrollSlider) {
             this.elements.scrollSlider.value = settings.flow.scrollLevel;
@@ -654,6 +2393,49 @@ class UIController {
             }
         }
 
+        // RSVP chunk size
+        if (this.elements.rsvpChunkSlider) {
+            this.elements.rsvpChunkSlider.value = settings.flow.rsvpChunkSize;
+            if (this.elements.rsvpChunkValue) {
+                this.elements.rsvpChunkValue.textContent = settings.flow.rsvpChunkSize;
+            }
+        }
+
+        // Pause multipliers
+        ['sentence', 'clause', 'paragraph', 'newline'].forEach(kind => {
+            const slider = this.elements[`${kind}PauseSlider`];
+            const multiplier = settings.flow[`${kind}Pause`];
+            if (slider && typeof multiplier === 'number') {
+                slider.value = multiplier;
+                const value = this.elements[`${kind}PauseValue`];
+                if (value) {
+                    value.textContent = `${multiplier.toFixed(1)}×`;
+                }
+            }
+        });
+
+        // Variable pacing
+        if (this.elements.variablePacing) {
+            this.elements.variablePacing.checked = settings.flow.variablePacing !== false;
+        }
+
+        // Adaptive speed
+        if (this.elements.adaptiveSpeed) {
+            this.elements.adaptiveSpeed.checked = settings.adaptive.enabled === true;
+        }
+        this._syncAdaptiveBounds();
+
+        // Per-book pinning
+        if (this.elements.pinToBook) {
+            this.elements.pinToBook.checked = settings.pinToBook === true;
+        }
+
+        // Reading session goal
+        if (this.elements.sessionTypeSelect && settings.session) {
+            this.elements.sessionTypeSelect.value = settings.session.type;
+            this._updateSessionTargetInput(settings.session.type);
+        }
+
         this._updateBionicSliderState();
         console.log('✅ UI synced with loaded settings');
     }
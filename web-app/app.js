@@ -37,7 +37,9 @@ const app = new CheetahReaderApp('#reader', {
     bionicStrength: 0.5,
     speed: 400,
     focusWidth: 2,
-    scrollLevel: 1
+    scrollLevel: 1,
+    browserHistory: true, // The browser's back button undoes in-book jumps
+    keyboardShortcuts: true // Space, arrows, PageUp/PageDown, ... anywhere on the page
 });
 
 // Initialize the UI controller (handles all UI interactions)